@@ -3,26 +3,49 @@
 const path = require("path");
 const fs = require("fs");
 const scssImportWatcher = require("../index"); // This path should point to your scssImportWatcher.js file
+const { getImportPathFromLine, OUTPUT_MODES, ORDER_MODES, GROUPINGS, PLACEMENTS, QUOTE_STYLES, createImportGenerator, createWatcherManager, buildImports, checkImports, readWatchersConfig, MarkerIntegrityError } = scssImportWatcher;
 const inquirer = require("inquirer").default;
 const chokidar = require("chokidar"); // Re-add chokidar for configFileWatcher
+const { parseArgs } = require("../lib/args");
+const { formatUnifiedDiff } = require("../lib/diff");
+const { getCommentText } = require("../lib/markers");
+const { updateFile, readStylesFile, decodeContent } = require("../lib/stylesFile");
+const { DEFAULT_HISTORY_LIMIT, listSnapshots, readSnapshot, deleteSnapshot } = require("../lib/history");
+const { MANUAL_EDIT_POLICIES, ManualEditsError } = require("../lib/blockState");
 
 // --- Global State ---
 // watchers Map: Holds actively running watcher instances and their full configurations.
 // This is primarily for managing the *live* watchers.
 const watchers = new Map(); // key: name, value: { config: fullConfig, instance }
+// All running watchers share one file system watcher and write each styles file once per batch of changes
+const watcherManager = createWatcherManager();
 
 // watcherConfigs object: Holds all persistent configurations loaded from/saved to the JSON file.
 // This is the source of truth for individual watcher settings.
-let watcherConfigs = {}; // key: name, value: { name, watchDir, line, excludePaths }
+let watcherConfigs = {}; // key: name, value: { name, watchDir, stylesFile, loadPath, line, excludePaths, include, exclude, extensions, outputMode, namespace, withConfig, order, orderMode, grouping, groupHeader, groupSpacing, manualEdits }
 let _watchersJsonPath = null;
 
 // Global project settings - these are considered singular for the project
 let _globalRootDir = null; // Determined once at startup by user input or loaded from JSON, stored as absolute path
 let _globalStylesFile = null; // The single global styles file for all imports, stored as path relative to _globalRootDir
+let _rootDirAsLoaded = null; // _globalRootDir as written in watchers.json, possibly relative to the file
+
+// What happens to markers, imports and watchers.json when the CLI exits:
+// "keep" (leave everything), "keep-imports" (drop markers, keep rules) or "clean" (remove blocks and clear watchers)
+const EXIT_POLICIES = ["keep", "keep-imports", "clean"];
+let _exitPolicy = "keep"; // Stored as _exitPolicy in watchers.json
+let _exitPolicyOverride = null; // From --on-exit, for this session only (never saved)
+let _dryRun = false; // From --dry-run: diffs are printed instead of writing any file (session only, never saved)
+let _fixMarkers = false; // From --fix: broken markers are merged back into one block instead of refusing to write
+let _resolveEdits = null; // From --resolve-edits: "keep" or "overwrite" for blocks edited by hand whose manualEdits is "ask"
+let _markerTemplate = null; // Stored as _markerTemplate in watchers.json, { start, end } comment lines containing "{id}"
+let _historyLimit = DEFAULT_HISTORY_LIMIT; // Stored as _historyLimit in watchers.json, versions kept per styles file (0 = no history)
 
 let configFileWatcher = null; // To hold the fs.FSWatcher instance for watchers.json
 let saveTimeout = null; // For debouncing config file writes
 const SAVE_DEBOUNCE_DELAY = 500; // milliseconds
+let _lastSavedConfigJson = null; // Last content written by this process, so our own saves are not seen as external changes
+let _isInteractive = true; // False when running a subcommand (no prompts allowed)
 
 // --- Helper Functions ---
 
@@ -32,19 +55,34 @@ function getWatchersConfigPath() {
 
 }
 
+// The root as it goes into watchers.json: a root that was loaded relative to the file stays relative, so a
+// checked-in config keeps working on other machines; a root set in this session is written absolute
+function getRootDirToSave() {
+  const loadedRelative = _rootDirAsLoaded && !path.isAbsolute(_rootDirAsLoaded);
+  if (loadedRelative && path.resolve(path.dirname(getWatchersConfigPath()), _rootDirAsLoaded) === _globalRootDir) {
+    return _rootDirAsLoaded;
+  }
+  return _globalRootDir;
+}
+
 /**
  * Synchronously saves current in-memory configurations to file.
  * This does NOT clear watcherConfigs.
  */
 function _saveConfigsSync() {
+  if (_dryRun) return; // watchers.json stays as it is, like the styles files
   try {
     const configToSave = {
-      _globalRootDir: _globalRootDir,
+      _globalRootDir: getRootDirToSave(),
       _globalStylesFile: _globalStylesFile,
+      _exitPolicy: _exitPolicy,
+      _markerTemplate: _markerTemplate || undefined,
+      _historyLimit: _historyLimit,
       watchers: watcherConfigs, // Always save the current state of watcherConfigs
     };
     const configPath = getWatchersConfigPath();
-    fs.writeFileSync(configPath, JSON.stringify(configToSave, null, 2), "utf8");
+    _lastSavedConfigJson = JSON.stringify(configToSave, null, 2);
+    fs.writeFileSync(configPath, _lastSavedConfigJson, "utf8");
     // console.log(`\n💾 Configs saved synchronously to ${path.basename(configPath)}.`); // Commented for less clutter
   } catch (error) {
     console.error(`\n❌ Error saving configuration synchronously: ${error.message}`);
@@ -65,13 +103,17 @@ function saveConfigs() {
 }
 
 /**
- * New function specifically for saving on exit/SIGINT, which clears all watchers.
+ * New function specifically for saving on exit/SIGINT with the "clean" exit policy, which clears all watchers.
  */
 function _saveConfigsOnExit() {
+  if (_dryRun) return;
   try {
     const configToSave = {
-      _globalRootDir: _globalRootDir,
+      _globalRootDir: getRootDirToSave(),
       _globalStylesFile: _globalStylesFile,
+      _exitPolicy: _exitPolicy,
+      _markerTemplate: _markerTemplate || undefined,
+      _historyLimit: _historyLimit,
       watchers: {}, // Clear watchers when saving on exit
     };
     const configPath = getWatchersConfigPath();
@@ -84,18 +126,22 @@ function _saveConfigsOnExit() {
 
 
 // Function to load configurations from file
-function loadConfigs() {
+// Callers that keep running (main menu, `run`) start watching the file themselves via startWatchingConfigFile().
+// Pass quiet = true to keep stdout clean (e.g. for `list --json`).
+function loadConfigs(quiet = false) {
   const configPath = getWatchersConfigPath();
   if (fs.existsSync(configPath)) {
     try {
-      const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
-      _globalRootDir = config._globalRootDir || null;
-      _globalStylesFile = config._globalStylesFile || null;
-      watcherConfigs = config.watchers || {};
-      console.log(`\n⚙️ Loaded configurations from ${path.basename(configPath)}.`);
-
-      // Start watching the config file itself for external changes immediately after loading
-      startWatchingConfigFile();
+      // A relative root is resolved against the config file, so a checked-in watchers.json works on every machine
+      const config = readWatchersConfig(configPath);
+      _globalRootDir = config.rootDir;
+      _rootDirAsLoaded = config.rootDirAsWritten;
+      _globalStylesFile = config.stylesFile;
+      _exitPolicy = config.exitPolicy || _exitPolicy;
+      _markerTemplate = config.markerTemplate;
+      _historyLimit = config.historyLimit ?? _historyLimit;
+      watcherConfigs = config.watchers;
+      if (!quiet) console.log(`\n⚙️ Loaded configurations from ${path.basename(configPath)}.`);
       return true;
     } catch (error) {
       console.error(`\n❌ Error loading configuration from ${path.basename(configPath)}: ${error.message}`);
@@ -107,8 +153,6 @@ function loadConfigs() {
 
 // Function to start watching the config file
 function startWatchingConfigFile() {
-  console.log(`👀 Watching config file: ${configPath}`);
-
   if (configFileWatcher) {
     configFileWatcher.close(); // Close existing watcher if any
   }
@@ -117,6 +161,7 @@ function startWatchingConfigFile() {
     // If config file doesn't exist yet, we can't watch it. It's created on first save.
     return;
   }
+  console.log(`👀 Watching config file: ${configPath}`);
 
   configFileWatcher = chokidar.watch(configPath, {
     persistent: true,
@@ -127,6 +172,12 @@ function startWatchingConfigFile() {
   });
 
   configFileWatcher.on('change', () => {
+    // Ignore the change events caused by our own _saveConfigsSync() calls
+    try {
+      if (fs.readFileSync(configPath, "utf8") === _lastSavedConfigJson) return;
+    } catch (error) {
+      // Unreadable right now (e.g. mid-write); let handleExternalConfigChange report it
+    }
     console.log('📣 Detected watchers.json file change');
 
     handleExternalConfigChange();
@@ -153,7 +204,7 @@ async function handleExternalConfigChange() {
 
   // Reload configurations from file. This updates global state (_globalRootDir, _globalStylesFile, watcherConfigs).
   console.log("  Attempting to reload configurations from watchers.json...");
-  const configLoadedSuccessfully = loadConfigs(); // This implicitly calls startWatchingConfigFile if successful
+  const configLoadedSuccessfully = loadConfigs(); // Watching is restarted at the end of every branch below
 
   if (!configLoadedSuccessfully) {
     console.error("  Failed to reload configurations from file. Reverting to previous state and re-initializing all watchers.");
@@ -164,9 +215,7 @@ async function handleExternalConfigChange() {
     _saveConfigsSync(); // Overwrite the problematic external change with the valid old state
     // Re-initialize all watchers based on the restored previous state
     // First, clear all existing active instances from the map
-    for (const [name, { instance }] of watchers) {
-      if (instance) instance.close();
-    }
+    await Promise.all(Array.from(watchers.values(), ({ instance }) => instance && instance.close()));
     watchers.clear();
     for (const name in watcherConfigs) { // Use the reverted watcherConfigs
       await loadAndInitializeWatcher(name);
@@ -187,7 +236,8 @@ async function handleExternalConfigChange() {
     console.log(`   Project Root: Old ("${oldGlobalRootDir}") -> New ("${_globalRootDir}")`);
     console.log(`   Global Styles File: Old ("${oldGlobalStylesFile}") -> New ("${_globalStylesFile}")`);
 
-    const { confirmGlobalUpdate } = await inquirer.prompt([
+    // Without a TTY there is nobody to ask, so external changes are applied as-is
+    const { confirmGlobalUpdate } = !_isInteractive ? { confirmGlobalUpdate: true } : await inquirer.prompt([
       {
         type: 'confirm',
         name: 'confirmGlobalUpdate',
@@ -210,13 +260,15 @@ async function handleExternalConfigChange() {
     // This is because changing global root/styles file fundamentally alters how all watchers operate.
     console.log("  Performing full re-initialization of all watchers due to global settings changes.");
     // Clear all existing active instances and their markers
+    const closing = [];
     for (const [name, { instance }] of watchers) {
       if (instance) {
         console.log(`  Stopping active watcher "${name}" and removing its markers...`);
-        instance.removeMarkers(true); // Remove specific watcher's markers
-        instance.close();
+        await instance.removeMarkers(true); // Remove specific watcher's markers
+        closing.push(instance.close());
       }
     }
+    await Promise.all(closing);
     watchers.clear(); // Clear all active instances from the map
 
     // Now, initialize all watchers based on the current (potentially new or reverted) global and watcher configs
@@ -256,8 +308,8 @@ async function handleExternalConfigChange() {
     const watcherData = watchers.get(name);
     if (watcherData && watcherData.instance) {
       console.log(`    Cleaning up markers for "${name}"...`);
-      watcherData.instance.removeMarkers(true); // Remove specific watcher's markers
-      watcherData.instance.close(); // Close its instance
+      await watcherData.instance.removeMarkers(true); // Remove specific watcher's markers
+      await watcherData.instance.close(); // Close its instance
       watchers.delete(name); // Remove from active map
     }
     // No need to delete from `watcherConfigs` here, as `loadConfigs` already reflects the new state.
@@ -278,8 +330,8 @@ async function handleExternalConfigChange() {
           const otherWatcherInstance = watchers.get(otherWatcherName)?.instance;
           if (otherWatcherInstance) { // Only if it's currently active (might not be if it was also modified/deleted)
             console.log(`    Re-initializing "${otherWatcherName}" to apply excludePaths update...`);
-            otherWatcherInstance.removeMarkers(true); // Clean old markers (if it had any)
-            otherWatcherInstance.close();
+            await otherWatcherInstance.removeMarkers(true); // Clean old markers (if it had any)
+            await otherWatcherInstance.close();
             watchers.delete(otherWatcherName);
           }
           // Always call loadAndInitializeWatcher to ensure it's running with the latest config
@@ -300,17 +352,29 @@ async function handleExternalConfigChange() {
     // Log specific changes for better user feedback
     const changes = [];
     if (oldConfig.watchDir !== newConfig.watchDir) changes.push(`watchDir: "${oldConfig.watchDir}" -> "${newConfig.watchDir}"`);
-    if (oldConfig.line !== newConfig.line) changes.push(`line: ${oldConfig.line} -> ${newConfig.line}`);
+    if (getStylesFile(oldConfig) !== getStylesFile(newConfig)) changes.push(`stylesFile: "${getStylesFile(oldConfig)}" -> "${getStylesFile(newConfig)}"`);
+    if (JSON.stringify(oldConfig.order) !== JSON.stringify(newConfig.order)) changes.push(`import order changed`);
+    if ((oldConfig.grouping || 'folder') !== (newConfig.grouping || 'folder') || oldConfig.groupHeader !== newConfig.groupHeader || (oldConfig.groupSpacing || 0) !== (newConfig.groupSpacing || 0)) changes.push(`grouping/group headers changed`);
+    if (formatImportStyle(oldConfig) !== formatImportStyle(newConfig)) changes.push(`import style: ${formatImportStyle(oldConfig)} -> ${formatImportStyle(newConfig)}`);
+    if ((oldConfig.orderMode || 'alphabetical') !== (newConfig.orderMode || 'alphabetical')) changes.push(`orderMode: "${oldConfig.orderMode || 'alphabetical'}" -> "${newConfig.orderMode || 'alphabetical'}"`);
+    if ((oldConfig.manualEdits || 'overwrite') !== (newConfig.manualEdits || 'overwrite')) changes.push(`manualEdits: "${oldConfig.manualEdits || 'overwrite'}" -> "${newConfig.manualEdits || 'overwrite'}"`);
+    if ((oldConfig.loadPath || '') !== (newConfig.loadPath || '')) changes.push(`loadPath: "${oldConfig.loadPath || ''}" -> "${newConfig.loadPath || ''}"`);
+    if (formatPlacement(oldConfig) !== formatPlacement(newConfig)) changes.push(`placement: ${formatPlacement(oldConfig)} -> ${formatPlacement(newConfig)}`);
     if ((oldConfig.markerId || 'auto') !== (newConfig.markerId || 'auto')) changes.push(`markerId: "${oldConfig.markerId || 'auto'}" -> "${newConfig.markerId || 'auto'}"`);
+    if (JSON.stringify(oldConfig.markerTemplate) !== JSON.stringify(newConfig.markerTemplate)) changes.push(`marker template changed`);
     if (JSON.stringify(oldConfig.excludePaths) !== JSON.stringify(newConfig.excludePaths)) changes.push(`excludePaths changed`);
+    if (JSON.stringify(oldConfig.include) !== JSON.stringify(newConfig.include) || JSON.stringify(oldConfig.exclude) !== JSON.stringify(newConfig.exclude)) changes.push(`include/exclude patterns changed`);
+    if (JSON.stringify(oldConfig.extensions) !== JSON.stringify(newConfig.extensions)) changes.push(`extensions: [${getExtensions(oldConfig).join(', ')}] -> [${getExtensions(newConfig).join(', ')}]`);
+    if ((oldConfig.outputMode || 'import') !== (newConfig.outputMode || 'import')) changes.push(`outputMode: "${oldConfig.outputMode || 'import'}" -> "${newConfig.outputMode || 'import'}"`);
+    if (JSON.stringify(oldConfig.namespace) !== JSON.stringify(newConfig.namespace) || JSON.stringify(oldConfig.withConfig) !== JSON.stringify(newConfig.withConfig)) changes.push(`@use namespace/configuration changed`);
     changes.forEach(change => console.log(`    - ${change}`));
 
     // Close and remove existing instance, clean its old markers
     const watcherData = watchers.get(name);
     if (watcherData && watcherData.instance) {
       console.log(`    Cleaning up old markers for "${name}" before re-init...`);
-      watcherData.instance.removeMarkers(true);
-      watcherData.instance.close();
+      await watcherData.instance.removeMarkers(true);
+      await watcherData.instance.close();
       watchers.delete(name);
     }
 
@@ -355,8 +419,8 @@ async function handleExternalConfigChange() {
           const otherWatcherInstance = watchers.get(otherWatcherName)?.instance;
           if (otherWatcherInstance) { // Only if it's currently active
             console.log(`    Re-initializing "${otherWatcherName}" to apply excludePaths update...`);
-            otherWatcherInstance.removeMarkers(true);
-            otherWatcherInstance.close();
+            await otherWatcherInstance.removeMarkers(true);
+            await otherWatcherInstance.close();
             watchers.delete(otherWatcherName);
           }
           // Always call loadAndInitializeWatcher to ensure it's running with the latest config
@@ -394,8 +458,8 @@ async function handleExternalConfigChange() {
           const otherWatcherInstance = watchers.get(otherWatcherName)?.instance;
           if (otherWatcherInstance) { // Only if it's currently active
             console.log(`    Re-initializing "${otherWatcherName}" to apply excludePaths update...`);
-            otherWatcherInstance.removeMarkers(true);
-            otherWatcherInstance.close();
+            await otherWatcherInstance.removeMarkers(true);
+            await otherWatcherInstance.close();
             watchers.delete(otherWatcherName);
           }
           // Always call loadAndInitializeWatcher to ensure it's running with the latest config
@@ -539,53 +603,69 @@ async function browseForFile(startDir, message, fileExtension = '', fileNameOnly
 }
 
 
-// NEW FUNCTION: Browse for a single SCSS file DIRECTLY in a given directory (no recursion)
+// NEW FUNCTION: Browse for a single SCSS or Sass file in a given directory or one of its subfolders
 async function browseForScssFileInDirectory(searchDir, message) {
-  let scssFiles = [];
-  try {
-    const entries = fs.readdirSync(searchDir, { withFileTypes: true });
-    scssFiles = entries
-        .filter(entry => entry.isFile() && entry.name.endsWith('.scss'))
-        .map(entry => entry.name)
-        .sort();
-  } catch (error) {
-    console.error(`\n❌ Error reading directory ${searchDir}: ${error.message}`);
-    return null;
-  }
+  let current = searchDir;
+  while (true) {
+    let scssFiles = [];
+    try {
+      const entries = fs.readdirSync(current, { withFileTypes: true });
+      scssFiles = entries
+          .filter(entry => entry.isFile() && (entry.name.endsWith('.scss') || entry.name.endsWith('.sass')))
+          .map(entry => entry.name)
+          .sort();
+    } catch (error) {
+      console.error(`\n❌ Error reading directory ${current}: ${error.message}`);
+      return null;
+    }
+    const { folders } = listFoldersAndFiles(current);
 
-  if (scssFiles.length === 0) {
-    console.log(`\n⚠️ No .scss files found directly in "${searchDir}".`);
-    const { retry } = await inquirer.prompt([
+    if (scssFiles.length === 0 && folders.length === 0 && current === searchDir) {
+      console.log(`\n⚠️ No .scss or .sass files found in "${searchDir}".`);
+      const { retry } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'retry',
+          message: 'Do you want to re-select a file in this directory, or cancel?',
+          default: true,
+        },
+      ]);
+      if (retry) {
+        return 'RETRY_SELECTION'; // Special signal to re-prompt for file selection in the same directory
+      }
+      return null; // User cancelled
+    }
+
+    const { selectedFile } = await inquirer.prompt([
       {
-        type: 'confirm',
-        name: 'retry',
-        message: 'Do you want to re-select a file in this directory, or cancel?',
-        default: true,
+        type: "list",
+        name: "selectedFile",
+        message: message,
+        choices: [
+          {
+            name: `(Current: ${current})`,
+            value: "current_path_label",
+            disabled: true,
+          },
+          ...scssFiles.map(file => ({ name: `📄 ${file}`, value: { file } })),
+          ...folders.map(folder => ({ name: folder, value: { folder: folder.replace("📁 ", "") } })),
+          new inquirer.Separator(),
+          { name: "⬆️ Go up a directory", value: "up", disabled: current === searchDir },
+          { name: "🚪 Cancel", value: "cancel" },
+        ],
       },
     ]);
-    if (retry) {
-      return 'RETRY_SELECTION'; // Special signal to re-prompt for file selection in the same directory
-    }
-    return null; // User cancelled
-  }
-
-  const { selectedFile } = await inquirer.prompt([
-    {
-      type: "list",
-      name: "selectedFile",
-      message: message,
-      choices: [
-        ...scssFiles,
-        new inquirer.Separator(),
-        { name: "🚪 Cancel", value: "cancel" },
-      ],
-    },
-  ]);
 
-  if (selectedFile === "cancel") {
-    return null;
+    if (selectedFile === "cancel") {
+      return null;
+    } else if (selectedFile === "up") {
+      current = path.dirname(current);
+    } else if (selectedFile.folder) {
+      current = path.join(current, selectedFile.folder);
+    } else {
+      return path.join(current, selectedFile.file);
+    }
   }
-  return path.join(searchDir, selectedFile);
 }
 
 
@@ -606,6 +686,183 @@ async function promptForRelativePaths(baseDir, message, defaultValue = '') {
 }
 
 
+// Lets the user pick the styles file a watcher writes to; returns undefined for the project default
+async function promptForStylesFile(currentStylesFile) {
+  let otherFiles = [];
+  try {
+    otherFiles = fs.readdirSync(_globalRootDir, { withFileTypes: true })
+        .filter(entry => entry.isFile() && (entry.name.endsWith('.scss') || entry.name.endsWith('.sass')) && entry.name !== _globalStylesFile)
+        .map(entry => entry.name)
+        .sort();
+  } catch (error) {
+    console.error(`\n❌ Error reading directory ${_globalRootDir}: ${error.message}`);
+  }
+
+  const { stylesFile } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "stylesFile",
+      message: "Which styles file should this watcher write its imports to?",
+      choices: [
+        { name: `📄 ${_globalStylesFile} (project default)`, value: "" },
+        ...otherFiles.map(file => ({ name: `📄 ${file}`, value: file })),
+        ...(currentStylesFile && !otherFiles.includes(currentStylesFile) ? [{ name: `📄 ${currentStylesFile}`, value: currentStylesFile }] : []),
+        { name: "📂 Browse subfolders...", value: "browse" },
+      ],
+      default: currentStylesFile || "",
+    },
+  ]);
+
+  if (stylesFile === "browse") {
+    const stylesFileAbsolute = await browseForScssFileInDirectory(_globalRootDir, "Select the styles file for this watcher:");
+    if (!stylesFileAbsolute || stylesFileAbsolute === 'RETRY_SELECTION') {
+      return currentStylesFile; // Keep the current target
+    }
+    const relative = path.relative(_globalRootDir, stylesFileAbsolute);
+    return relative === _globalStylesFile ? undefined : relative;
+  }
+  return stylesFile === "" ? undefined : stylesFile;
+}
+
+// NEW FUNCTION: Prompt for the generated rule (@import/@use/@forward) and the @use namespace
+async function promptForOutputMode(currentMode = "import", currentNamespace = "auto") {
+  const { outputMode } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "outputMode",
+      message: "Which rule should be generated for each partial?",
+      choices: OUTPUT_MODES.map(mode => ({ name: `@${mode}`, value: mode })),
+      default: currentMode,
+    },
+  ]);
+
+  let namespace = undefined;
+  if (outputMode === "use") {
+    const answer = await inquirer.prompt([
+      {
+        type: "input",
+        name: "namespace",
+        message: "Namespace for @use rules (\"auto\" = file name, \"*\" = global, or a template like \"ds-{name}\"):",
+        default: typeof currentNamespace === "string" ? currentNamespace : "auto",
+        filter: (input) => input.trim() === '' ? "auto" : input.trim(),
+      },
+    ]);
+    namespace = answer.namespace;
+  }
+
+  return { outputMode, namespace };
+}
+
+// Prompt for where a new block goes in the styles file. Returns { placement, anchor, line }, placement and anchor
+// undefined for a plain line number (the default).
+async function promptForPlacement(stylesFile, current = {}, watcherName = null) {
+  const targetFile = stylesFile || _globalStylesFile;
+  const otherWatchers = Object.keys(watcherConfigs)
+      .filter(other => other !== watcherName && hasSameStylesFile(watcherConfigs[other], { stylesFile }));
+  const { placement } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "placement",
+      message: `Where should the import block go in ${targetFile}?`,
+      choices: [
+        { name: "🔢 At a line number", value: "line" },
+        { name: "⬆️ At the top (below @charset)", value: "top" },
+        { name: "⬇️ At the bottom", value: "bottom" },
+        { name: "🔎 After the line matching a pattern", value: "afterPattern" },
+        { name: "🔎 Before the line matching a pattern", value: "beforePattern" },
+        ...(otherWatchers.length > 0 ? [
+          { name: "🧩 After the block of another watcher", value: "afterBlock" },
+          { name: "🧩 Before the block of another watcher", value: "beforeBlock" },
+        ] : []),
+      ],
+      default: current.placement || "line",
+    },
+  ]);
+
+  let anchor = undefined;
+  if (placement.endsWith("Pattern")) {
+    ({ anchor } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "anchor",
+        message: "Regular expression for the line (the first match counts), e.g. ^// == abstracts ==:",
+        default: current.placement && current.placement.endsWith("Pattern") ? current.anchor : undefined,
+        validate: (input) => {
+          if (input.trim() === '') return "Please enter a pattern.";
+          try {
+            new RegExp(input.trim());
+            return true;
+          } catch (error) {
+            return `Invalid regular expression: ${error.message}`;
+          }
+        },
+        filter: (input) => input.trim(),
+      },
+    ]));
+  } else if (placement.endsWith("Block")) {
+    ({ anchor } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "anchor",
+        message: "Next to the block of which watcher?",
+        choices: otherWatchers,
+        default: otherWatchers.includes(current.anchor) ? current.anchor : undefined,
+      },
+    ]));
+  }
+
+  let line = current.line || 1;
+  if (placement !== "top" && placement !== "bottom") {
+    ({ line } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "line",
+        message: placement === "line"
+            ? `Enter the 1-indexed line number in ${targetFile} where imports should be inserted:`
+            : "Line number to insert at when the anchor is not in the file:",
+        default: String(line),
+        validate: (input) => {
+          const num = parseInt(input);
+          if (isNaN(num) || num <= 0) {
+            return "Please enter a valid positive number.";
+          }
+          return true;
+        },
+        filter: (input) => parseInt(input),
+      },
+    ]));
+  }
+
+  return { placement: placement === "line" ? undefined : placement, anchor, line }; // undefined = default
+}
+
+// Styles file a watcher writes to (relative to the root); watchers without their own use the project default
+function getStylesFile(config) {
+  return config.stylesFile || _globalStylesFile;
+}
+
+// True when both watchers write to the same styles file, i.e. their blocks have to avoid duplicate imports
+function hasSameStylesFile(configA, configB) {
+  return path.resolve(_globalRootDir, getStylesFile(configA)) === path.resolve(_globalRootDir, getStylesFile(configB));
+}
+
+// All distinct styles files that watchers write to, relative to the root
+function getAllStylesFiles() {
+  const stylesFiles = new Set([_globalStylesFile]);
+  Object.values(watcherConfigs).forEach(config => stylesFiles.add(getStylesFile(config)));
+  return Array.from(stylesFiles).filter(Boolean);
+}
+
+// Source extensions of a watcher, in order of preference
+function getExtensions(config) {
+  return config.extensions && config.extensions.length > 0 ? config.extensions : ['.scss'];
+}
+
+// Include patterns of a watcher; the default is one pattern per source extension
+function getIncludePatterns(config) {
+  return config.include || getExtensions(config).map(ext => `**/*${ext.startsWith('.') ? ext : '.' + ext}`);
+}
+
 // Function to load and initialize a single watcher
 async function loadAndInitializeWatcher(name) {
   const config = watcherConfigs[name];
@@ -614,23 +871,35 @@ async function loadAndInitializeWatcher(name) {
     return;
   }
 
-  // Ensure rootDir and stylesFile are always absolute paths in the passed config
-  const fullConfig = {
-    ...config,
-    rootDir: _globalRootDir, // This is always absolute from loadConfigs
-    stylesFile: _globalStylesFile, // This is relative to _globalRootDir
-    // NEW: Pass the entire watcherConfigs for cross-watcher filtering
-    allWatchersConfigs: watcherConfigs // Pass the live, potentially updated watcherConfigs
-  };
+  const fullConfig = buildFullConfig(config);
 
   try {
     console.log(`  Initializing watcher "${name}" with config:`);
     console.log(`    watchDir: "${fullConfig.watchDir}"`);
-    console.log(`    line: ${fullConfig.line}`);
+    console.log(`    stylesFile: "${fullConfig.stylesFile}"`);
+    console.log(`    placement: ${formatPlacement(fullConfig)}`);
     console.log(`    excludePaths: [${fullConfig.excludePaths.join(', ')}]`);
-
-    const instance = scssImportWatcher(fullConfig);
-    instance._initialUpdate(); // Perform initial update to generate imports
+    if (fullConfig.include || fullConfig.exclude) {
+      console.log(`    include: [${getIncludePatterns(fullConfig).join(', ')}] exclude: [${(fullConfig.exclude || []).join(', ')}]`);
+    }
+    if (fullConfig.extensions) {
+      console.log(`    extensions: [${getExtensions(fullConfig).join(', ')}]`);
+    }
+    console.log(`    outputMode: @${fullConfig.outputMode || 'import'}`);
+
+    const instance = watcherManager.add(fullConfig);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await instance._initialUpdate(); // Perform initial update to generate imports
+        break;
+      } catch (error) {
+        if (attempt < 2 && await resolveBlockError(name, instance, error)) continue;
+        // The watcher is fine, only its block cannot be written: keep it paused until that is sorted out
+        watchers.set(name, { config: fullConfig, instance });
+        instance.pause();
+        return;
+      }
+    }
     watchers.set(name, { config: fullConfig, instance });
     console.log(`\n✨ Watcher "${name}" initialized.`);
   } catch (error) {
@@ -640,6 +909,373 @@ async function loadAndInitializeWatcher(name) {
   }
 }
 
+// Offers a way out when a watcher's block cannot be written: repairing broken markers, or keeping or overwriting
+// manual edits. Other errors are rethrown. Resolves to true when the update can be tried again.
+async function resolveBlockError(name, instance, error) {
+  if (error instanceof MarkerIntegrityError) {
+    console.error(`\n❌ ${error.message}`);
+    if (_isInteractive && !_dryRun && await repairMarkersFlow(name)) return true;
+    console.log(`⏸️ Watcher "${name}" paused. ${_isInteractive ? 'Repair its markers under "Show watchers"' : 'Run again with --fix to merge them into one block'}.`);
+    return false;
+  }
+  if (error instanceof ManualEditsError) {
+    console.error(`\n❌ ${error.message}`);
+    const decision = _isInteractive && !_dryRun ? await promptForManualEdits(name, error.edits) : null;
+    if (decision) {
+      instance.resolveManualEdits(decision);
+      return true;
+    }
+    console.log(`⏸️ Watcher "${name}" paused. ${_isInteractive ? 'Keep or overwrite the edits under "Show watchers"' : 'Run again with --resolve-edits keep or --resolve-edits overwrite'}.`);
+    return false;
+  }
+  throw error;
+}
+
+// Shows the lines edited by hand in a watcher's block and asks what to do with them.
+// Resolves to "keep", "overwrite" or null (decide later).
+async function promptForManualEdits(name, edits) {
+  console.log(`\n✋ Block "${name}" in ${getStylesFile(watcherConfigs[name])} was edited by hand:`);
+  edits.added.forEach(line => console.log(`  + ${line}`));
+  edits.removed.forEach(line => console.log(`  - ${line}`));
+  const { decision } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "decision",
+      message: "What should happen to these edits?",
+      choices: [
+        { name: "📌 Keep the added lines as pinned lines", value: "keep" },
+        { name: "✏️ Overwrite them with the generated block", value: "overwrite" },
+        { name: "⏸️ Decide later (the block is not updated until then)", value: null },
+      ],
+    },
+  ]);
+  return decision;
+}
+
+// Drops what was recorded about a deleted watcher's block, including its pinned lines
+function forgetBlockState(config) {
+  if (!_dryRun) {
+    createImportGenerator(buildFullConfig(config)).forgetBlock();
+  }
+}
+
+// Records the blocks of a styles file that was just put back from the history as written by their watchers,
+// so the next update does not take the restored lines for manual edits
+function adoptRestoredBlocks(absoluteStylesFilePath) {
+  const content = readStylesFile(absoluteStylesFilePath);
+  Object.values(watcherConfigs).forEach(config => {
+    const generator = createImportGenerator(buildFullConfig(config));
+    if (generator.absoluteStylesFilePath === absoluteStylesFilePath) {
+      generator.adoptBlock(content);
+    }
+  });
+}
+
+// Describes a watcher's marker template for prompts and details
+function formatMarkerTemplate(template) {
+  if (template) return `"${template.start}" / "${template.end}"`;
+  return _markerTemplate ? `project default ("${_markerTemplate.start}" / "${_markerTemplate.end}")` : 'default';
+}
+
+// Describes how a watcher spells its rules, e.g. `single quotes, with extension, combined per group`
+function formatImportStyle(config) {
+  return [
+    `${config.quotes || 'double'} quotes`,
+    config.keepExtension ? 'with extension' : 'without extension',
+    config.keepUnderscore ? 'with underscore' : 'without underscore',
+    config.combine ? 'combined per group' : 'one rule per file',
+    ...(config.folderImports ? ['folders with an index file as one import'] : []),
+  ].join(', ');
+}
+
+// Describes where a watcher inserts its block, for prompts, details and the list
+function formatPlacement(config) {
+  const fallback = ` (line ${config.line || 1} if missing)`;
+  switch (config.placement || "line") {
+    case "top": return "top of the file";
+    case "bottom": return "bottom of the file";
+    case "afterPattern": return `after the line matching /${config.anchor}/${fallback}`;
+    case "beforePattern": return `before the line matching /${config.anchor}/${fallback}`;
+    case "afterBlock": return `after the block of "${config.anchor}"${fallback}`;
+    case "beforeBlock": return `before the block of "${config.anchor}"${fallback}`;
+    default: return `line ${config.line}`;
+  }
+}
+
+// Ensure rootDir and stylesFile are always absolute paths in the passed config
+function buildFullConfig(config) {
+  return {
+    ...config,
+    rootDir: _globalRootDir, // This is always absolute from loadConfigs
+    stylesFile: getStylesFile(config), // This is relative to _globalRootDir
+    defaultStylesFile: _globalStylesFile, // Target of the watchers that don't set their own
+    markerTemplate: config.markerTemplate || _markerTemplate || undefined,
+    dryRun: _dryRun || undefined, // Running watchers print diffs instead of writing
+    repairMarkers: _fixMarkers || undefined,
+    // --resolve-edits answers the question of "ask" watchers for the whole session
+    manualEdits: config.manualEdits === "ask" && _resolveEdits ? _resolveEdits : config.manualEdits,
+    historyLimit: _historyLimit,
+    // NEW: Pass the entire watcherConfigs for cross-watcher filtering
+    allWatchersConfigs: watcherConfigs // Pass the live, potentially updated watcherConfigs
+  };
+}
+
+// Stops a running watcher (removing its block) and initializes it again from watcherConfigs
+async function restartWatcher(name) {
+  const existingInstance = watchers.get(name)?.instance;
+  if (existingInstance) {
+    console.log(`  Cleaning up old markers for "${name}" before re-init...`);
+    await existingInstance.removeMarkers(true); // Clean up old markers AND their content
+    await existingInstance.close(); // Close old watcher instance
+    watchers.delete(name); // Remove old instance from map
+    console.log(`  Old instance for "${name}" cleaned and removed.`);
+  }
+  await loadAndInitializeWatcher(name);
+}
+
+// Content changes that remove the blocks written with each previousConfig and write the current blocks,
+// combined per styles file. changes: [{ name, previousConfig }], previousConfig defaulting to the current config;
+// watchers that no longer exist are only removed.
+function getBlockRewrites(changes) {
+  const rewrites = new Map(); // key: absolute styles file, value: { transforms, generators } in order
+  const addRewrite = (generator, transform) => {
+    const { transforms, generators } = rewrites.get(generator.absoluteStylesFilePath) || { transforms: [], generators: [] };
+    rewrites.set(generator.absoluteStylesFilePath, { transforms: [...transforms, transform], generators: [...generators, generator] });
+  };
+  const createGenerator = (config) => createImportGenerator(buildFullConfig(config));
+
+  for (const { name, previousConfig = watcherConfigs[name] } of changes) {
+    const generator = watcherConfigs[name] && createGenerator(watcherConfigs[name]);
+    if (previousConfig) {
+      const previousGenerator = createGenerator(previousConfig);
+      // A block that stays where it is gets replaced in place, which keeps its manual edits under the manualEdits policy
+      const staysInPlace = generator && generator.absoluteStylesFilePath === previousGenerator.absoluteStylesFilePath &&
+          generator.markerId === previousGenerator.markerId && formatPlacement(watcherConfigs[name]) === formatPlacement(previousConfig) &&
+          JSON.stringify(watcherConfigs[name].markerTemplate) === JSON.stringify(previousConfig.markerTemplate);
+      if (!staysInPlace) {
+        if (previousGenerator.getManualEdits()) {
+          console.log(`⚠️ Block "${previousGenerator.markerId}" was edited by hand; the edits are dropped with the old block.`);
+        }
+        addRewrite(previousGenerator, content => previousGenerator.removeBlock(content));
+      }
+    }
+    if (generator) {
+      generator.generateImports();
+      addRewrite(generator, content => generator.applyBlock(content));
+    }
+  }
+
+  return Array.from(rewrites, ([absoluteStylesFilePath, { transforms, generators }]) => ({
+    absoluteStylesFilePath,
+    transform: (content) => transforms.reduce((current, transform) => transform(current), content),
+    // Records the written blocks, so later manual edits are noticed (see lib/blockState)
+    record: (content) => generators.forEach(generator => generator.recordBlock(content)),
+  }));
+}
+
+// Unified diffs of what the rewrites from getBlockRewrites() would do to each existing styles file
+// (unchanged files are left out)
+function previewBlockRewrites(rewrites) {
+  return rewrites
+      .filter(({ absoluteStylesFilePath }) => fs.existsSync(absoluteStylesFilePath))
+      .map(({ absoluteStylesFilePath, transform }) => {
+        const content = readStylesFile(absoluteStylesFilePath);
+        return formatUnifiedDiff(content, transform(content), { fromFile: path.relative(_globalRootDir, absoluteStylesFilePath) });
+      })
+      .filter(diff => diff !== '');
+}
+
+// Non-interactive counterpart of restartWatcher(): rewrites watcher blocks without starting file watchers,
+// one update per styles file. With --dry-run the diffs are printed instead.
+// Throws a MarkerIntegrityError before anything is written when one of the files has broken markers.
+async function rewriteWatcherBlocks(changes) {
+  const rewrites = getBlockRewrites(changes);
+  const diffs = previewBlockRewrites(rewrites);
+  if (_dryRun) {
+    printDiffs(diffs);
+    return;
+  }
+  const history = getHistoryOptions(changes.map(({ name }) => name).join(', '));
+  for (const { absoluteStylesFilePath, transform, record } of rewrites) {
+    await updateFile(absoluteStylesFilePath, transform, { history, onContent: record });
+  }
+}
+
+// Where updateFile() keeps the versions it replaces, see lib/history. trigger names what overwrote them.
+function getHistoryOptions(trigger) {
+  return { rootDir: _globalRootDir, trigger, limit: _historyLimit };
+}
+
+function printDiffs(diffs) {
+  if (diffs.length === 0) {
+    console.log("\n📝 No changes to the styles files.");
+    return;
+  }
+  diffs.forEach(diff => console.log(`\n${diff}`));
+}
+
+// Shows what a new or edited watcher is going to change and asks before the first write.
+// Resolves to true when the change may be written. In a dry run nothing is written, so there is nothing to confirm.
+async function confirmBlockRewrites(changes) {
+  if (_dryRun) {
+    return true;
+  }
+  let diffs;
+  try {
+    diffs = previewBlockRewrites(getBlockRewrites(changes));
+  } catch (error) {
+    if (!(error instanceof MarkerIntegrityError || error instanceof ManualEditsError)) throw error;
+    console.error(`\n❌ ${error.message}`);
+    console.log(`${error instanceof MarkerIntegrityError ? 'Repair the markers' : 'Keep or overwrite the manual edits'} under "Show watchers" first.`);
+    return false;
+  }
+  if (diffs.length === 0) {
+    return true;
+  }
+  console.log("\n📝 Pending changes:");
+  printDiffs(diffs);
+  const { confirmWrite } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "confirmWrite",
+      message: "Write these changes?",
+      default: true,
+    },
+  ]);
+  return confirmWrite;
+}
+
+// Puts back a copy of watcherConfigs taken before a change. The object is kept, running watchers read it live.
+function restoreWatcherConfigs(snapshot) {
+  Object.keys(watcherConfigs).forEach(name => delete watcherConfigs[name]);
+  Object.assign(watcherConfigs, snapshot);
+}
+
+// --- Watcher Bookkeeping ---
+// These only mutate watcherConfigs (parent/child excludePaths included) and return the names of the
+// *other* watchers whose configuration changed. Callers save and restart/rewrite as appropriate.
+// Parent/child exclusions only apply between watchers that write to the same styles file.
+
+// True when childRelative is a sub-directory (not the same directory) of parentRelative, both relative to the root
+function isSubDirectory(parentRelative, childRelative) {
+  const relative = path.relative(path.resolve(_globalRootDir, parentRelative), path.resolve(_globalRootDir, childRelative));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Adds a watcher and excludes its directory from every watcher that watches a parent directory
+function addWatcherConfig(config) {
+  watcherConfigs[config.name] = config;
+  const affectedWatchers = [];
+
+  for (const existingWatcherName in watcherConfigs) {
+    if (existingWatcherName === config.name) {
+      continue; // Skip the new watcher itself
+    }
+    const existingWatcherConfig = watcherConfigs[existingWatcherName];
+    if (!hasSameStylesFile(existingWatcherConfig, config) || !isSubDirectory(existingWatcherConfig.watchDir, config.watchDir)) {
+      continue;
+    }
+
+    const updatedExcludePaths = new Set(existingWatcherConfig.excludePaths || []);
+    // Only report a change if the excludePaths actually changed (to prevent unnecessary writes/reloads)
+    if (!updatedExcludePaths.has(config.watchDir)) {
+      updatedExcludePaths.add(config.watchDir);
+      existingWatcherConfig.excludePaths = Array.from(updatedExcludePaths);
+      console.log(`\n🔄 Updated excludePaths for existing watcher "${existingWatcherName}" to include "${config.watchDir}".`);
+      affectedWatchers.push(existingWatcherName);
+    }
+  }
+
+  return affectedWatchers;
+}
+
+// Removes a watcher and drops its directory from the excludePaths of all other watchers
+function removeWatcherConfig(name) {
+  // Store the config before deleting it for exclusion removal logic
+  const deletedWatcherConfig = watcherConfigs[name];
+  const deletedWatcherRelativeWatchDir = deletedWatcherConfig && deletedWatcherConfig.watchDir;
+  delete watcherConfigs[name];
+  const affectedWatchers = [];
+
+  if (deletedWatcherRelativeWatchDir) {
+    for (const otherWatcherName in watcherConfigs) {
+      const otherWatcherConfig = watcherConfigs[otherWatcherName];
+      const updatedExcludePaths = new Set(otherWatcherConfig.excludePaths || []);
+      // Another watcher of the same folder may still need the exclusion
+      const stillExcludedBy = Object.values(watcherConfigs).some(config =>
+          config.watchDir === deletedWatcherRelativeWatchDir && hasSameStylesFile(config, otherWatcherConfig));
+      if (hasSameStylesFile(deletedWatcherConfig, otherWatcherConfig) && !stillExcludedBy && updatedExcludePaths.has(deletedWatcherRelativeWatchDir)) {
+        updatedExcludePaths.delete(deletedWatcherRelativeWatchDir);
+        otherWatcherConfig.excludePaths = Array.from(updatedExcludePaths);
+        console.log(`\n🔄 Removed "${deletedWatcherRelativeWatchDir}" from excludePaths of watcher "${otherWatcherName}".`);
+        affectedWatchers.push(otherWatcherName);
+      }
+    }
+  }
+
+  return affectedWatchers;
+}
+
+// Applies changes to a watcher; when its watchDir or styles file changed, parent watchers' excludePaths follow it
+function updateWatcherConfig(name, changes) {
+  const config = watcherConfigs[name];
+  const oldConfig = { ...config };
+  const oldWatchDirRelative = config.watchDir;
+  Object.assign(config, changes);
+  const newWatchDirRelative = config.watchDir;
+  const affectedWatchers = [];
+
+  if (oldWatchDirRelative === newWatchDirRelative && hasSameStylesFile(oldConfig, config)) {
+    return affectedWatchers;
+  }
+
+  console.log(`\nWatch directory or styles file for "${name}" changed. Re-evaluating exclusions for all other watchers...`);
+
+  // Its own exclusions: child watchers are only excluded while they write to the same styles file
+  const ownExcludePathsSet = new Set(config.excludePaths || []);
+  for (const otherWatcherConfig of Object.values(watcherConfigs)) {
+    if (otherWatcherConfig.name === name) continue;
+    if (hasSameStylesFile(otherWatcherConfig, oldConfig) && isSubDirectory(oldWatchDirRelative, otherWatcherConfig.watchDir)) {
+      ownExcludePathsSet.delete(otherWatcherConfig.watchDir);
+    }
+  }
+  for (const otherWatcherConfig of Object.values(watcherConfigs)) {
+    if (otherWatcherConfig.name === name) continue;
+    if (hasSameStylesFile(otherWatcherConfig, config) && isSubDirectory(newWatchDirRelative, otherWatcherConfig.watchDir)) {
+      ownExcludePathsSet.add(otherWatcherConfig.watchDir);
+    }
+  }
+  config.excludePaths = Array.from(ownExcludePathsSet);
+  for (const nameOfOtherWatcher in watcherConfigs) {
+    if (nameOfOtherWatcher === name) continue; // Skip the currently edited watcher
+
+    const otherWatcherConfig = watcherConfigs[nameOfOtherWatcher];
+    const updatedExcludePathsSet = new Set(otherWatcherConfig.excludePaths || []);
+    let shouldUpdateOtherWatcher = false;
+
+    // Check if the old watchDir of the current watcher was a child of this other watcher
+    if (hasSameStylesFile(otherWatcherConfig, oldConfig) && isSubDirectory(otherWatcherConfig.watchDir, oldWatchDirRelative) && updatedExcludePathsSet.has(oldWatchDirRelative)) {
+      updatedExcludePathsSet.delete(oldWatchDirRelative);
+      shouldUpdateOtherWatcher = true;
+      console.log(`  Removing old watchDir "${oldWatchDirRelative}" from excludePaths of "${nameOfOtherWatcher}".`);
+    }
+
+    // Check if the new watchDir of the current watcher is now a child of this other watcher
+    if (hasSameStylesFile(otherWatcherConfig, config) && isSubDirectory(otherWatcherConfig.watchDir, newWatchDirRelative) && !updatedExcludePathsSet.has(newWatchDirRelative)) {
+      updatedExcludePathsSet.add(newWatchDirRelative);
+      shouldUpdateOtherWatcher = true;
+      console.log(`  Adding new watchDir "${newWatchDirRelative}" to excludePaths of "${nameOfOtherWatcher}".`);
+    }
+
+    if (shouldUpdateOtherWatcher) {
+      otherWatcherConfig.excludePaths = Array.from(updatedExcludePathsSet);
+      affectedWatchers.push(nameOfOtherWatcher);
+    }
+  }
+
+  return affectedWatchers;
+}
+
 // Initial setup for _globalRootDir and _globalStylesFile
 async function setupProjectRootAndStylesFile() {
   console.log("\n--- Initial Project Setup ---");
@@ -669,10 +1305,10 @@ async function setupProjectRootAndStylesFile() {
   // Step 2: Select Main SCSS File
   let stylesFileSelected = false;
   while (!stylesFileSelected) {
-    console.log(`\nNow, select your primary SCSS file (e.g., main.scss, app.scss). It must be directly in: ${_globalRootDir}`);
+    console.log(`\nNow, select your primary SCSS file (e.g., main.scss, app.scss, main.sass). It must be inside: ${_globalRootDir}`);
     const stylesFileAbsolute = await browseForScssFileInDirectory(
         _globalRootDir,
-        "Select your main SCSS file to be updated (must be in the project root):"
+        "Select your main SCSS file to be updated (import paths are written relative to it):"
     );
 
     if (stylesFileAbsolute === 'RETRY_SELECTION') {
@@ -685,8 +1321,8 @@ async function setupProjectRootAndStylesFile() {
     }
 
     _globalStylesFile = path.relative(_globalRootDir, stylesFileAbsolute);
-    if (!_globalStylesFile.endsWith('.scss')) {
-      console.warn("⚠️ Warning: The selected file does not have a .scss extension. Ensure it's a valid SCSS file.");
+    if (!_globalStylesFile.endsWith('.scss') && !_globalStylesFile.endsWith('.sass')) {
+      console.warn("⚠️ Warning: The selected file does not have a .scss or .sass extension. Ensure it's a valid SCSS file.");
     }
 
     stylesFileSelected = true;
@@ -729,6 +1365,9 @@ async function setupProjectRootAndStylesFile() {
       console.error("\n❌ The selected watchers.json file is missing required global settings.");
     } else {
       watcherConfigs = loadedWatchers;
+      _exitPolicy = config._exitPolicy || _exitPolicy;
+      _markerTemplate = config._markerTemplate || null;
+      _historyLimit = config._historyLimit ?? _historyLimit;
       console.log("✅ Loaded watcher configurations from file.");
       loadedSuccessfully = true;
     }
@@ -801,24 +1440,11 @@ async function createWatcherFlow() {
     },
   ]);
 
-  const { line } = await inquirer.prompt([
-    {
-      type: "input",
-      name: "line",
-      message: `Enter the 1-indexed line number in ${_globalStylesFile} where imports should be inserted:`,
-      default: 1,
-      validate: (input) => {
-        const num = parseInt(input);
-        if (isNaN(num) || num <= 0) {
-          return "Please enter a valid positive number.";
-        }
-        return true;
-      },
-      filter: Number,
-    },
-  ]);
-
-  const { markerId } = await inquirer.prompt([
+  const stylesFile = await promptForStylesFile();
+
+  const { placement, anchor, line } = await promptForPlacement(stylesFile, { line: 1 }, name);
+
+  const { markerId } = await inquirer.prompt([
     {
       type: "input",
       name: "markerId",
@@ -828,53 +1454,39 @@ async function createWatcherFlow() {
     },
   ]);
 
-  watcherConfigs[name] = {
+  const { outputMode, namespace } = await promptForOutputMode();
+
+  const configsBeforeChange = JSON.parse(JSON.stringify(watcherConfigs));
+  const affectedWatchers = addWatcherConfig({
     name,
     watchDir: newWatcherWatchDirRelative,
+    stylesFile,
     line,
+    placement,
+    anchor,
     markerId,
-    excludePaths: [] // Initialize as empty for the new watcher
-  };
+    excludePaths: [], // Initialize as empty for the new watcher
+    outputMode,
+    namespace
+  });
 
-  // --- NEW LOGIC: Update parent watchers' excludePaths ---
-  for (const existingWatcherName in watcherConfigs) {
-    if (existingWatcherName === name) {
-      continue; // Skip the new watcher itself
-    }
-    const existingWatcherConfig = watcherConfigs[existingWatcherName];
-    const existingWatcherWatchDirAbsolute = path.resolve(_globalRootDir, existingWatcherConfig.watchDir);
-
-    // Determine if the new watcher's directory is a child of the existing watcher's directory
-    const relativePathFromExistingToNew = path.relative(existingWatcherWatchDirAbsolute, watchDirAbsolute);
-
-    // If relativePathFromExistingToNew does not start with '..' and is not empty,
-    // then newWatcherWatchDirRelative is a child of existingWatcherConfig.watchDir
-    if (!relativePathFromExistingToNew.startsWith('..') && relativePathFromExistingToNew !== '') {
-      const updatedExcludePaths = new Set(existingWatcherConfig.excludePaths);
-      updatedExcludePaths.add(newWatcherWatchDirRelative); // Add the new watcher's relative path
-
-      // Only update and re-initialize if the excludePaths actually changed (to prevent unnecessary writes/reloads)
-      if (updatedExcludePaths.size > existingWatcherConfig.excludePaths.length) {
-        existingWatcherConfig.excludePaths = Array.from(updatedExcludePaths);
-        console.log(`\n🔄 Updated excludePaths for existing watcher "${existingWatcherName}" to include "${newWatcherWatchDirRelative}".`);
-        _saveConfigsSync(); // Save the in-memory change
-        // Re-initialize the parent watcher to apply the new excludePaths
-        // This will also trigger removeMarkers(true) on the old instance and then regenerate imports
-        const existingInstance = watchers.get(existingWatcherName)?.instance;
-        if (existingInstance) {
-          console.log(`  Cleaning up old markers for "${existingWatcherName}" before re-init...`);
-          existingInstance.removeMarkers(true); // Clean up old markers AND their content
-          existingInstance.close(); // Close old watcher instance
-          watchers.delete(existingWatcherName); // Remove old instance from map
-          console.log(`  Old instance for "${existingWatcherName}" cleaned and removed.`);
-        }
-        await loadAndInitializeWatcher(existingWatcherName); // Load and initialize with new config
-      }
-    }
+  const confirmed = await confirmBlockRewrites([
+    ...affectedWatchers.map(existingWatcherName => ({ name: existingWatcherName, previousConfig: configsBeforeChange[existingWatcherName] })),
+    { name, previousConfig: null },
+  ]);
+  if (!confirmed) {
+    restoreWatcherConfigs(configsBeforeChange);
+    console.log(`\n❌ Watcher "${name}" was not created, nothing was written.`);
+    return;
   }
-  // --- END NEW LOGIC ---
 
   _saveConfigsSync(); // Use synchronous save after all updates, ensures consistency
+
+  // Re-initialize parent watchers to apply their new excludePaths
+  for (const existingWatcherName of affectedWatchers) {
+    await restartWatcher(existingWatcherName);
+  }
+
   console.log(`\nWatcher "${name}" configured.`);
 
   await loadAndInitializeWatcher(name); // Initialize the new watcher
@@ -892,7 +1504,7 @@ async function showWatchersFlow() {
     // Check if instance exists and is active
     const isActive = watcherData && watcherData.instance ? watcherData.instance.getIsActive() : false;
     return {
-      name: `${name} (${isActive ? '✅ Active' : '🔴 Inactive'}) - Watch: ${watcherConfigs[name].watchDir}`,
+      name: `${name} (${isActive ? '✅ Active' : '🔴 Inactive'}) - Watch: ${watcherConfigs[name].watchDir} -> ${getStylesFile(watcherConfigs[name])}`,
       value: name,
     };
   });
@@ -930,9 +1542,27 @@ async function manageWatcherDetails(watcherName) {
   console.log(`\n--- Details for Watcher: ${config.name} ---`);
   console.log(`  Watch Directory (relative to root): ${config.watchDir}`);
   console.log(`  Watch Directory (absolute): ${path.resolve(_globalRootDir, config.watchDir)}`);
-  console.log(`  Insert Line: ${config.line}`);
+  console.log(`  Styles File: ${getStylesFile(config)}${config.stylesFile ? '' : ' (project default)'}`);
+  console.log(`  Import Paths Relative To: ${config.loadPath ? `load path ${config.loadPath}` : 'styles file'}`);
+  console.log(`  Placement: ${formatPlacement(config)}`);
   console.log(`  Marker ID: ${config.markerId || 'auto'}`);
+  console.log(`  Markers: ${formatMarkerTemplate(config.markerTemplate)}`);
+  const detailsGenerator = createImportGenerator(buildFullConfig(config));
+  const markerProblems = detailsGenerator.getMarkerProblems();
+  markerProblems.forEach(problem => console.log(`    ⚠️ ${problem.message}`));
   console.log(`  Exclude Paths (relative to root): ${config.excludePaths && config.excludePaths.length > 0 ? config.excludePaths.join(', ') : 'None'}`);
+  console.log(`  Include Patterns (relative to watch dir): ${getIncludePatterns(config).join(', ')}`);
+  console.log(`  Exclude Patterns (relative to watch dir): ${config.exclude && config.exclude.length > 0 ? config.exclude.join(', ') : 'None'}`);
+  console.log(`  Source Extensions: ${getExtensions(config).join(', ')}`);
+  console.log(`  Output Mode: @${config.outputMode || 'import'}${config.outputMode === 'use' ? ` (namespace: ${typeof config.namespace === 'object' ? 'custom map' : config.namespace || 'auto'})` : ''}`);
+  console.log(`  Order Mode: ${config.orderMode || 'alphabetical'}`);
+  console.log(`  Manual Edits: ${config.manualEdits || 'overwrite'}`);
+  const manualEdits = detailsGenerator.getManualEdits();
+  if (manualEdits) {
+    console.log(`    ✋ Edited by hand: +${manualEdits.added.length} -${manualEdits.removed.length} line(s)`);
+  }
+  console.log(`  Import Style: ${formatImportStyle(config)}`);
+  console.log(`  Grouping: ${config.grouping || 'folder'} (header: ${config.groupHeader === undefined ? 'default' : config.groupHeader === '' ? 'none' : `"${config.groupHeader}"`}, ${config.groupSpacing || 0} blank line(s) between groups)`);
 
   let currentImports = [];
   let isActive = false;
@@ -943,7 +1573,7 @@ async function manageWatcherDetails(watcherName) {
     currentImports = watcherData.instance._getGeneratedImportPaths();
     console.log(`\n--- Current Imports ---`);
     if (currentImports.length > 0) {
-      // The _getGeneratedImportPaths already returns "@import "..."", so just print it.
+      // The _getGeneratedImportPaths already returns full rules (@import/@use/@forward), so just print it.
       currentImports.forEach(imp => console.log(`  ${imp}`));
     } else {
       console.log(`  No imports generated yet, or no SCSS partials found.`);
@@ -962,6 +1592,12 @@ async function manageWatcherDetails(watcherName) {
       message: `Actions for "${config.name}":`,
       choices: [
         { name: "✏️ Edit Watcher Settings", value: "edit" },
+        { name: "↕️ Reorder imports", value: "reorder" },
+        ...(markerProblems.length > 0 ? [{ name: "🔧 Repair markers", value: "repair" }] : []),
+        ...(manualEdits ? [{ name: "✋ Keep or overwrite manual edits", value: "edits" }] : []),
+        ...(watcherData && watcherData.instance
+            ? [isActive ? { name: "⏸️ Pause watcher", value: "pause" } : { name: "▶️ Resume watcher", value: "resume" }]
+            : []),
         { name: "🔙 Back to Show Watchers", value: "back" },
       ],
     },
@@ -971,11 +1607,183 @@ async function manageWatcherDetails(watcherName) {
     await editWatcherFlow(watcherName);
     // After editing, show details again
     await manageWatcherDetails(watcherName); // Re-show details after edit
+  } else if (action === "reorder") {
+    await reorderImportsFlow(watcherName);
+    await manageWatcherDetails(watcherName);
+  } else if (action === "repair") {
+    if (await repairMarkersFlow(watcherName) && watcherData && watcherData.instance && !watcherData.instance.getIsActive()) {
+      watcherData.instance.resume(); // Paused because of the broken markers
+    }
+    await manageWatcherDetails(watcherName);
+  } else if (action === "edits") {
+    const decision = await promptForManualEdits(watcherName, manualEdits);
+    if (decision && watcherData && watcherData.instance) {
+      watcherData.instance.resolveManualEdits(decision); // Written with the next update
+      if (!watcherData.instance.getIsActive()) watcherData.instance.resume(); // Paused because nobody had decided
+    } else if (decision) {
+      detailsGenerator.resolveManualEdits(decision);
+      detailsGenerator.generateImports();
+      await detailsGenerator.updateStylesFile();
+    }
+    await manageWatcherDetails(watcherName);
+  } else if (action === "pause" || action === "resume") {
+    watcherData.instance[action]();
+    await manageWatcherDetails(watcherName);
   } else if (action === "back") {
     // This will naturally return to showWatchersFlow, no explicit call needed here
   }
 }
 
+// Shows how the broken markers of a watcher would be merged back into one block and writes that after confirmation.
+// Resolves to true when the markers are fine afterwards.
+async function repairMarkersFlow(watcherName) {
+  const config = watcherConfigs[watcherName];
+  const generator = createImportGenerator({ ...buildFullConfig(config), repairMarkers: true });
+  const problems = generator.getMarkerProblems();
+  if (problems.length === 0) {
+    return true;
+  }
+
+  console.log(`\n⚠️ Broken markers of "${watcherName}" in ${getStylesFile(config)}:`);
+  problems.forEach(problem => console.log(`  - ${problem.message}`));
+  generator.generateImports();
+  console.log(`\n${generator.getPendingDiff()}`);
+  if (_dryRun) {
+    console.log("\n🔍 Dry run: markers not repaired.");
+    return false;
+  }
+  const { confirmRepair } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "confirmRepair",
+      message: "Merge them back into one block like this?",
+      default: true,
+    },
+  ]);
+  if (!confirmRepair) {
+    console.log("\n❌ Markers not repaired.");
+    return false;
+  }
+  await generator.updateStylesFile();
+  console.log(`\n🔧 Repaired the markers of "${watcherName}".`);
+  return true;
+}
+
+// NEW FUNCTION: Move groups and files of a watcher's block up and down, then persist the result as its `order`
+async function reorderImportsFlow(watcherName) {
+  const config = watcherConfigs[watcherName];
+  const generator = createImportGenerator(buildFullConfig(config));
+  generator.generateImports();
+  const groups = generator.getImportOrder();
+
+  if (groups.length === 0) {
+    console.log(`\nNo imports to reorder for "${watcherName}".`);
+    return;
+  }
+
+  let groupsMoved = false;
+  const reorderedGroups = new Set(); // Groups whose files were moved
+  let lastMoved = null; // Keeps the cursor on the item that was just moved
+
+  while (true) {
+    const choices = [];
+    groups.forEach((group, groupIndex) => {
+      choices.push({ name: `📁 ${group.group}`, value: { groupIndex } });
+      group.files.forEach((file, fileIndex) => choices.push({ name: `    📄 ${file}`, value: { groupIndex, fileIndex } }));
+    });
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "selected",
+        message: "Select a group or file to move:",
+        choices: [
+          ...choices,
+          new inquirer.Separator(),
+          { name: "💾 Save order", value: "save" },
+          { name: "🚪 Cancel", value: "cancel" },
+        ],
+        default: lastMoved && (choices.find(choice =>
+            choice.value.groupIndex === lastMoved.groupIndex && choice.value.fileIndex === lastMoved.fileIndex) || {}).value,
+        pageSize: 20,
+      },
+    ]);
+
+    if (selected === "cancel") {
+      console.log(`\nReordering for "${watcherName}" cancelled.`);
+      return;
+    }
+    if (selected === "save") {
+      break;
+    }
+
+    const { direction } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "direction",
+        message: "Move it:",
+        choices: [
+          { name: "⬆️ Up", value: -1 },
+          { name: "⬇️ Down", value: 1 },
+          { name: "↩️ Back", value: 0 },
+        ],
+      },
+    ]);
+
+    // Groups move between groups, files only within their own group
+    const list = selected.fileIndex === undefined ? groups : groups[selected.groupIndex].files;
+    const from = selected.fileIndex === undefined ? selected.groupIndex : selected.fileIndex;
+    let to = from + direction;
+    if (direction !== 0 && to >= 0 && to < list.length) {
+      [list[from], list[to]] = [list[to], list[from]];
+      if (selected.fileIndex === undefined) {
+        groupsMoved = true;
+      } else {
+        reorderedGroups.add(groups[selected.groupIndex].group);
+      }
+    } else {
+      to = from;
+    }
+    lastMoved = selected.fileIndex === undefined ? { groupIndex: to } : { groupIndex: selected.groupIndex, fileIndex: to };
+  }
+
+  if (!groupsMoved && reorderedGroups.size === 0) {
+    console.log(`\nOrder of "${watcherName}" unchanged.`);
+    return;
+  }
+
+  // Groups are stored completely (new groups go to the end), moved files as pinned "first" entries of their group
+  const newOrder = { ...(config.order || {}) };
+  if (groupsMoved) {
+    newOrder.groups = [...groups.map(group => group.group), "*"];
+  }
+  for (const group of groups) {
+    if (!reorderedGroups.has(group.group)) continue;
+    newOrder.first = [...group.files, ...(newOrder.first || []).filter(pattern => !group.files.includes(pattern))];
+    newOrder.last = (newOrder.last || []).filter(pattern => !group.files.includes(pattern));
+    if (newOrder.last.length === 0) {
+      delete newOrder.last;
+    }
+  }
+
+  const configsBeforeChange = JSON.parse(JSON.stringify(watcherConfigs)); // Restored when the order is not confirmed
+  updateWatcherConfig(watcherName, { order: newOrder });
+  if (_dryRun) {
+    printDiffs(previewBlockRewrites(getBlockRewrites([{ name: watcherName, previousConfig: configsBeforeChange[watcherName] }])));
+    restoreWatcherConfigs(configsBeforeChange);
+    console.log(`\n🔍 Dry run: import order for "${watcherName}" not saved.`);
+    return;
+  }
+  if (!await confirmBlockRewrites([{ name: watcherName, previousConfig: configsBeforeChange[watcherName] }])) {
+    restoreWatcherConfigs(configsBeforeChange);
+    console.log(`\n❌ New order for "${watcherName}" discarded, nothing was written.`);
+    return;
+  }
+  _saveConfigsSync();
+  console.log(`\n✅ Import order for "${watcherName}" saved.`);
+  await restartWatcher(watcherName);
+}
+
 // NEW FUNCTION: Edit Watcher Flow
 async function editWatcherFlow(watcherName) {
   const config = watcherConfigs[watcherName];
@@ -1001,9 +1809,8 @@ async function editWatcherFlow(watcherName) {
   console.log(`\n--- Editing Watcher: ${watcherName} ---`);
   console.log(`(Press Enter to keep current value)`);
 
-  // Store the old watchDir before updating for comparison later
-  const oldWatchDirRelative = config.watchDir;
   const oldConfigSnapshot = JSON.parse(JSON.stringify(config)); // Deep copy for comparison
+  const configsBeforeChange = JSON.parse(JSON.stringify(watcherConfigs)); // Restored when the changes are not confirmed
 
   // Prompt for new watchDir
   const currentWatchDirAbsolute = path.resolve(_globalRootDir, config.watchDir);
@@ -1016,27 +1823,24 @@ async function editWatcherFlow(watcherName) {
   // If user cancels browseForDirectory, it returns null. Keep old value.
   const newWatchDirRelative = newWatchDirAbsolute ? path.relative(_globalRootDir, newWatchDirAbsolute) : config.watchDir;
 
+  // Prompt for the target styles file
+  const newStylesFile = await promptForStylesFile(config.stylesFile);
 
-  // Prompt for new line number
-  const { newLine } = await inquirer.prompt([
+  // Prompt for the Sass load path that import paths are written relative to
+  const { newLoadPath } = await inquirer.prompt([
     {
       type: "input",
-      name: "newLine",
-      message: `Enter new line number for imports (current: ${config.line}):`,
-      validate: (input) => {
-        // Allow empty string to keep current value
-        if (input.trim() === '') return true;
-        const num = parseInt(input);
-        if (isNaN(num) || num <= 0) {
-          return "Please enter a valid positive number.";
-        }
-        return true;
-      },
-      default: String(config.line), // Convert to string for default
-      filter: (input) => input.trim() === '' ? config.line : parseInt(input), // Filter to keep original if empty, otherwise parse
+      name: "newLoadPath",
+      message: `Enter a Sass load path to write import paths relative to (relative to ${_globalRootDir}, empty = relative to the styles file):`,
+      default: config.loadPath || '',
+      filter: (input) => input.trim() === '' ? undefined : path.relative(_globalRootDir, path.resolve(_globalRootDir, input.trim())),
     },
   ]);
 
+
+  // Prompt for where the block goes
+  const { placement: newPlacement, anchor: newAnchor, line: newLine } = await promptForPlacement(newStylesFile, config, watcherName);
+
   // Prompt for new markerId
   const { newMarkerId } = await inquirer.prompt([
     {
@@ -1048,6 +1852,52 @@ async function editWatcherFlow(watcherName) {
     },
   ]);
 
+  // Prompt to edit the marker template of this watcher
+  const { editMarkerTemplate } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "editMarkerTemplate",
+      message: `Do you want to edit the marker template? (Current: ${formatMarkerTemplate(config.markerTemplate)})`,
+      default: false,
+    },
+  ]);
+
+  let newMarkerTemplate = config.markerTemplate;
+  if (editMarkerTemplate) {
+    const { markerStart } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "markerStart",
+        message: 'Start marker comment containing "{id}" (empty for the project default):',
+        default: config.markerTemplate ? config.markerTemplate.start : '',
+        validate: (input) => {
+          if (input.trim() === '') return true;
+          if (getCommentText(input) === null) return 'The marker must be a comment (// ... or /* ... */).';
+          return input.includes('{id}') || 'The marker must contain "{id}".';
+        },
+      },
+    ]);
+    if (markerStart.trim() === '') {
+      newMarkerTemplate = undefined; // undefined = project default
+    } else {
+      const { markerEnd } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "markerEnd",
+          message: 'End marker comment containing "{id}":',
+          default: config.markerTemplate ? config.markerTemplate.end : '',
+          validate: (input) => {
+            if (getCommentText(input) === null) return 'The marker must be a comment (// ... or /* ... */).';
+            if (!input.includes('{id}')) return 'The marker must contain "{id}".';
+            if (getCommentText(input) === getCommentText(markerStart)) return 'The end marker must differ from the start marker.';
+            return true;
+          },
+        },
+      ]);
+      newMarkerTemplate = { start: markerStart.trim(), end: markerEnd.trim() };
+    }
+  }
+
   // Prompt to edit exclude paths
   const { editExcludePaths } = await inquirer.prompt([
     {
@@ -1067,84 +1917,236 @@ async function editWatcherFlow(watcherName) {
     );
   }
 
+  // Prompt to edit the glob filters
+  const { editPatterns } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "editPatterns",
+      message: `Do you want to edit source extensions and include/exclude patterns? (Current: extensions ${getExtensions(config).join(', ')}; include ${getIncludePatterns(config).join(', ')}; exclude ${config.exclude && config.exclude.length > 0 ? config.exclude.join(', ') : 'None'})`,
+      default: false,
+    },
+  ]);
+
+  let newInclude = config.include;
+  let newExclude = config.exclude;
+  let newExtensions = config.extensions;
+  if (editPatterns) {
+    newExtensions = await promptForRelativePaths(
+        _globalRootDir,
+        `Enter source extensions in order of preference (e.g. .scss,.sass,.css). Separate by comma:`,
+        getExtensions(config).join(',')
+    );
+    if (newExtensions.length === 0) {
+      newExtensions = undefined; // Back to the default
+    }
+    newInclude = await promptForRelativePaths(
+        _globalRootDir,
+        `Enter include glob patterns (relative to ${config.watchDir || 'the root'}, "!" to negate). Leave empty for one pattern per extension:`,
+        (config.include || []).join(',')
+    );
+    if (newInclude.length === 0) {
+      newInclude = undefined; // Back to the default
+    }
+    newExclude = await promptForRelativePaths(
+        _globalRootDir,
+        `Enter exclude glob patterns (e.g. **/__tests__/**). Separate by comma. Press Enter for none:`,
+        (config.exclude || []).join(',')
+    );
+  }
+
+  // Prompt for the generated rule; a namespace map set in watchers.json is kept as-is
+  const { outputMode: newOutputMode, namespace: newNamespace } = await promptForOutputMode(config.outputMode, config.namespace);
+
+  // Prompt for how the rules are spelled (quotes, extension, underscore, combined @import)
+  const { editImportStyle } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "editImportStyle",
+      message: `Do you want to edit the import style? (Current: ${formatImportStyle(config)})`,
+      default: false,
+    },
+  ]);
+
+  let newQuotes = config.quotes;
+  let newKeepExtension = config.keepExtension;
+  let newKeepUnderscore = config.keepUnderscore;
+  let newCombine = newOutputMode === "import" ? config.combine : undefined; // @use/@forward take one path per rule
+  let newFolderImports = config.folderImports;
+  if (editImportStyle) {
+    ({ newQuotes, newKeepExtension, newKeepUnderscore, newCombine, newFolderImports } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "newQuotes",
+        message: "Quotes around import paths:",
+        choices: QUOTE_STYLES.map(style => ({ name: style === "single" ? "Single ('components/button')" : 'Double ("components/button")', value: style })),
+        default: config.quotes || "double",
+        filter: (input) => input === "double" ? undefined : input, // undefined = default
+      },
+      {
+        type: "confirm",
+        name: "newKeepExtension",
+        message: "Keep the file extension (e.g. \"button.scss\", never for .css files)?",
+        default: Boolean(config.keepExtension),
+        filter: (input) => input || undefined,
+      },
+      {
+        type: "confirm",
+        name: "newKeepUnderscore",
+        message: "Keep the leading underscore of partials (e.g. \"_button\")?",
+        default: Boolean(config.keepUnderscore),
+        filter: (input) => input || undefined,
+      },
+      {
+        type: "confirm",
+        name: "newCombine",
+        message: 'Combine each group into one @import (@import "a", "b";)?',
+        default: Boolean(config.combine),
+        when: () => newOutputMode === "import",
+        filter: (input) => input || undefined,
+      },
+      {
+        type: "confirm",
+        name: "newFolderImports",
+        message: 'Import subfolders with an _index/index file once, as the folder (@import "components/forms";)?',
+        default: Boolean(config.folderImports),
+        filter: (input) => input || undefined,
+      },
+    ]));
+  }
+
+  // Prompt for how imports are grouped and how group headers look
+  const { editGrouping } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "editGrouping",
+      message: `Do you want to edit grouping? (Current: ${config.grouping || 'folder'}, header ${config.groupHeader === undefined ? 'default' : config.groupHeader === '' ? 'none' : `"${config.groupHeader}"`}, spacing ${config.groupSpacing || 0})`,
+      default: false,
+    },
+  ]);
+
+  let newGrouping = config.grouping;
+  let newGroupHeader = config.groupHeader;
+  let newGroupSpacing = config.groupSpacing;
+  if (editGrouping) {
+    ({ newGrouping, newGroupHeader, newGroupSpacing } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "newGrouping",
+        message: "How should imports be grouped?",
+        choices: [
+          { name: "By first folder below the watch directory", value: "folder" },
+          { name: "By full folder path", value: "path" },
+          { name: "Nested, one indented group per folder level", value: "nested" },
+          { name: "No groups", value: "none" },
+        ],
+        default: config.grouping || "folder",
+      },
+      {
+        type: "input",
+        name: "newGroupHeader",
+        message: 'Group header template with {group} (e.g. "// {group}", "/* === {group} === */"), "default" for a plain comment, "none" for no headers:',
+        default: config.groupHeader === undefined ? 'default' : config.groupHeader === '' ? 'none' : config.groupHeader,
+        when: (answers) => answers.newGrouping !== "none",
+        filter: (input) => input.trim() === 'default' || input.trim() === '' ? undefined : input.trim() === 'none' ? '' : input.trim(),
+      },
+      {
+        type: "input",
+        name: "newGroupSpacing",
+        message: "Blank lines between groups:",
+        default: String(config.groupSpacing || 0),
+        when: (answers) => answers.newGrouping !== "none",
+        validate: (input) => /^\d+$/.test(String(input).trim()) || "Please enter 0 or a positive number.",
+      },
+    ]));
+    if (newGrouping === "folder") {
+      newGrouping = undefined; // Default
+    }
+    newGroupSpacing = parseInt(newGroupSpacing) || undefined; // undefined = 0
+  }
+
+  // Prompt for how imports are sorted before the pinned order is applied
+  const { newOrderMode } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "newOrderMode",
+      message: "How should imports be sorted?",
+      choices: [
+        { name: "Alphabetically", value: "alphabetical" },
+        { name: "By dependencies (definitions of variables, mixins, functions and placeholders first)", value: "dependencies" },
+      ],
+      default: config.orderMode || "alphabetical",
+    },
+  ]);
+
+  // Prompt for what happens to lines edited by hand inside the block
+  const { newManualEdits } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "newManualEdits",
+      message: "When the block was edited by hand:",
+      choices: [
+        { name: "Overwrite the edits (with a warning)", value: "overwrite" },
+        { name: "Keep added lines as pinned lines at the end of the block", value: "keep" },
+        { name: "Ask before writing the block", value: "ask" },
+      ],
+      default: config.manualEdits || "overwrite",
+    },
+  ]);
+
   // Update configuration object in memory
-  config.watchDir = newWatchDirRelative;
-  config.line = newLine;
-  config.markerId = newMarkerId;
-  config.excludePaths = newExcludePaths;
+  const affectedWatchers = updateWatcherConfig(watcherName, {
+    watchDir: newWatchDirRelative,
+    stylesFile: newStylesFile,
+    loadPath: newLoadPath,
+    line: newLine,
+    placement: newPlacement,
+    anchor: newAnchor,
+    markerId: newMarkerId,
+    markerTemplate: newMarkerTemplate,
+    excludePaths: newExcludePaths,
+    include: newInclude,
+    exclude: newExclude,
+    extensions: newExtensions,
+    outputMode: newOutputMode,
+    orderMode: newOrderMode === "alphabetical" ? undefined : newOrderMode, // undefined = default
+    manualEdits: newManualEdits === "overwrite" ? undefined : newManualEdits, // undefined = default
+    quotes: newQuotes,
+    keepExtension: newKeepExtension,
+    keepUnderscore: newKeepUnderscore,
+    combine: newCombine,
+    folderImports: newFolderImports,
+    grouping: newGrouping,
+    groupHeader: newGroupHeader,
+    groupSpacing: newGroupSpacing,
+    namespace: typeof config.namespace === "object" && newOutputMode === "use" ? config.namespace : newNamespace,
+  });
+
+  const confirmed = await confirmBlockRewrites([
+    { name: watcherName, previousConfig: oldConfigSnapshot },
+    ...affectedWatchers.map(nameOfOtherWatcher => ({ name: nameOfOtherWatcher, previousConfig: configsBeforeChange[nameOfOtherWatcher] })),
+  ]);
+  if (!confirmed) {
+    restoreWatcherConfigs(configsBeforeChange);
+    console.log(`\n❌ Changes to watcher "${watcherName}" discarded, nothing was written.`);
+    return;
+  }
 
-  _saveConfigsSync(); // Immediately save the updated watcher config to watchers.json
+  _saveConfigsSync(); // Immediately save the updated watcher configs to watchers.json
 
   console.log(`\n✅ Watcher "${watcherName}" configuration updated and saved.`);
 
   // If the watcher's config actually changed, re-initialize it
   if (JSON.stringify(oldConfigSnapshot) !== JSON.stringify(config)) {
     console.log(`\nWatcher "${watcherName}" configuration changed. Re-initializing...`);
-
-    // Clean up old markers for the currently edited watcher
-    const existingInstance = watchers.get(watcherName)?.instance;
-    if (existingInstance) {
-      console.log(`  Cleaning up old markers for "${watcherName}" before re-init...`);
-      existingInstance.removeMarkers(true); // Clean up old markers AND their content
-      existingInstance.close(); // Close old watcher instance
-      watchers.delete(watcherName); // Remove old instance from map
-      console.log(`  Old instance for "${watcherName}" cleaned and removed.`);
-    }
-
-    // Load and initialize the watcher with the new configuration
-    await loadAndInitializeWatcher(watcherName);
+    await restartWatcher(watcherName);
     console.log(`\nWatcher "${watcherName}" reinitialized with new settings.`);
   } else {
     console.log(`\nNo changes detected for "${watcherName}". No re-initialization needed.`);
   }
 
-  // Regardless of whether the current watcher was modified, if its watchDir changed,
-  // we might need to re-evaluate exclusions for other watchers.
-  if (oldWatchDirRelative !== newWatchDirRelative) {
-    console.log(`\nWatch directory for "${watcherName}" changed. Re-evaluating exclusions for all other watchers...`);
-    // Re-evaluate and re-initialize all other watchers to update their exclusion lists
-    for (const nameOfOtherWatcher in watcherConfigs) {
-      if (nameOfOtherWatcher === watcherName) continue; // Skip the currently edited watcher
-
-      const otherWatcherConfig = watcherConfigs[nameOfOtherWatcher];
-      const otherWatcherWatchDirAbsolute = path.resolve(_globalRootDir, otherWatcherConfig.watchDir);
-
-      const updatedExcludePathsSet = new Set(otherWatcherConfig.excludePaths);
-      let shouldUpdateOtherWatcher = false;
-
-      // Check if the old watchDir of the current watcher was a child of this other watcher
-      const relativePathFromOtherToOld = path.relative(otherWatcherWatchDirAbsolute, path.resolve(_globalRootDir, oldWatchDirRelative));
-      const isOtherParentOfOld = !relativePathFromOtherToOld.startsWith('..') && relativePathFromOtherToOld !== '';
-      if (isOtherParentOfOld && updatedExcludePathsSet.has(oldWatchDirRelative)) {
-        updatedExcludePathsSet.delete(oldWatchDirRelative);
-        shouldUpdateOtherWatcher = true;
-        console.log(`  Removing old watchDir "${oldWatchDirRelative}" from excludePaths of "${nameOfOtherWatcher}".`);
-      }
-
-      // Check if the new watchDir of the current watcher is now a child of this other watcher
-      const relativePathFromOtherToNew = path.relative(otherWatcherWatchDirAbsolute, path.resolve(_globalRootDir, newWatchDirRelative));
-      const isOtherParentOfNew = !relativePathFromOtherToNew.startsWith('..') && relativePathFromOtherToNew !== '';
-      if (isOtherParentOfNew && !updatedExcludePathsSet.has(newWatchDirRelative)) {
-        updatedExcludePathsSet.add(newWatchDirRelative);
-        shouldUpdateOtherWatcher = true;
-        console.log(`  Adding new watchDir "${newWatchDirRelative}" to excludePaths of "${nameOfOtherWatcher}".`);
-      }
-
-      if (shouldUpdateOtherWatcher) {
-        otherWatcherConfig.excludePaths = Array.from(updatedExcludePathsSet);
-        _saveConfigsSync(); // Immediately save the updated config of this other watcher
-        // Re-initialize the other watcher to apply its updated excludePaths
-        const otherWatcherInstance = watchers.get(nameOfOtherWatcher)?.instance;
-        if (otherWatcherInstance) {
-          console.log(`  Cleaning up old markers for "${nameOfOtherWatcher}" before re-init...`);
-          otherWatcherInstance.removeMarkers(true);
-          otherWatcherInstance.close();
-          watchers.delete(nameOfOtherWatcher);
-          console.log(`  Old instance for "${nameOfOtherWatcher}" cleaned and removed.`);
-        }
-        await loadAndInitializeWatcher(nameOfOtherWatcher);
-      }
-    }
+  // Re-initialize the other watchers whose exclusion lists followed a changed watchDir
+  for (const nameOfOtherWatcher of affectedWatchers) {
+    await restartWatcher(nameOfOtherWatcher);
   }
 }
 
@@ -1192,41 +2194,20 @@ async function deleteWatcherFlow(watcherToDelete = null) {
       const watcherData = watchers.get(name);
       if (watcherData && watcherData.instance) {
         console.log(`\n  Cleaning up markers for "${name}" before deletion...`);
-        watcherData.instance.removeMarkers(true); // Remove markers AND their contents
-        watcherData.instance.close(); // Close the watcher instance
+        await watcherData.instance.removeMarkers(true); // Remove markers AND their contents
+        await watcherData.instance.close(); // Close the watcher instance
       }
+      forgetBlockState(watcherConfigs[name]);
       watchers.delete(name); // Remove from active watchers map
-      // Store the watchDir before deleting the config for exclusion removal logic
-      const deletedWatcherRelativeWatchDir = watcherConfigs[name] && watcherConfigs[name].watchDir;
-      delete watcherConfigs[name]; // Remove from persistent config in memory
+      const affectedWatchers = removeWatcherConfig(name); // Remove from persistent config in memory
       _saveConfigsSync(); // Save immediately after deleting a watcher's config
 
       console.log(`\n🗑️ Watcher "${name}" deleted and imports cleaned up.`);
 
-      // --- NEW LOGIC: Remove deleted watcher's path from other watchers' excludePaths ---
-      if (deletedWatcherRelativeWatchDir) {
-        for (const otherWatcherName in watcherConfigs) {
-          const otherWatcherConfig = watcherConfigs[otherWatcherName];
-          const updatedExcludePaths = new Set(otherWatcherConfig.excludePaths);
-          if (updatedExcludePaths.has(deletedWatcherRelativeWatchDir)) {
-            updatedExcludePaths.delete(deletedWatcherRelativeWatchDir);
-            otherWatcherConfig.excludePaths = Array.from(updatedExcludePaths);
-            console.log(`\n🔄 Removed "${deletedWatcherRelativeWatchDir}" from excludePaths of watcher "${otherWatcherName}".`);
-            _saveConfigsSync(); // Save the in-memory change
-            // Re-initialize the other watcher to apply the updated excludePaths
-            const otherWatcherInstance = watchers.get(otherWatcherName)?.instance;
-            if (otherWatcherInstance) {
-              console.log(`  Cleaning up old markers for "${otherWatcherName}" before re-init...`);
-              otherWatcherInstance.removeMarkers(true);
-              otherWatcherInstance.close();
-              watchers.delete(otherWatcherName);
-              console.log(`  Old instance for "${otherWatcherName}" cleaned and removed.`);
-            }
-            await loadAndInitializeWatcher(otherWatcherName);
-          }
-        }
+      // Re-initialize the other watchers to apply the updated excludePaths
+      for (const otherWatcherName of affectedWatchers) {
+        await restartWatcher(otherWatcherName);
       }
-      // --- END NEW LOGIC ---
     }
   } else {
     console.log("\nDeletion cancelled.");
@@ -1240,68 +2221,238 @@ async function cleanAndRewriteAllStylesFiles() {
     return;
   }
 
-  const absoluteStylesFilePath = path.resolve(_globalRootDir, _globalStylesFile);
+  // Every watcher removes its own block, so its marker ID, marker template and styles file are the ones it writes.
+  // Active watchers are included in case their config is not in watcherConfigs (shouldn't happen, but for robustness)
+  const configs = new Map(Object.entries(watcherConfigs));
+  for (const [name, { config }] of watchers) {
+    if (!configs.has(name)) configs.set(name, config);
+  }
+  const generatorsByStylesFile = new Map(); // key: absolute styles file, value: generators writing to it
+  for (const config of configs.values()) {
+    const generator = createImportGenerator(buildFullConfig(config));
+    const generators = generatorsByStylesFile.get(generator.absoluteStylesFilePath) || [];
+    generatorsByStylesFile.set(generator.absoluteStylesFilePath, [...generators, generator]);
+  }
+
+  for (const [absoluteStylesFilePath, generators] of generatorsByStylesFile) {
+    await cleanStylesFile(absoluteStylesFilePath, generators);
+  }
+}
+
+// Removes the import blocks (markers and generated rules) of the given generators from one styles file
+async function cleanStylesFile(absoluteStylesFilePath, generators) {
   if (!fs.existsSync(absoluteStylesFilePath)) {
-    // console.log(`Global styles file not found at ${absoluteStylesFilePath}. No cleanup needed.`);
+    // console.log(`Styles file not found at ${absoluteStylesFilePath}. No cleanup needed.`);
     return;
   }
 
+  const countRules = (content) => content.split('\n').filter(line => getImportPathFromLine(line)).length;
+  // A block with broken markers makes removeBlock() throw, so ambiguous files are left alone
+  const removeAllBlocks = (content) => generators.reduce((current, generator) => generator.removeBlock(current), content);
+
   try {
-    let content = fs.readFileSync(absoluteStylesFilePath, "utf8");
-    const lines = content.split('\n');
-
-    // Dynamically create regex to find ALL markers for ALL watchers
-    const allMarkerIds = new Set(Object.keys(watcherConfigs)); // Use Set for unique IDs from current config
-    // Also include IDs from active watchers that might not be in config yet (shouldn't happen, but for robustness)
-    for (const [name, { config }] of watchers) {
-      if (config.markerId) {
-        allMarkerIds.add(config.markerId);
-      } else {
-        // Default marker ID if not explicitly set
-        allMarkerIds.add(path.basename(config.watchDir).replace(/[\/\\]/g, '_').replace(/^_/, ''));
-      }
+    if (_dryRun) {
+      const content = readStylesFile(absoluteStylesFilePath);
+      printDiffs([formatUnifiedDiff(content, removeAllBlocks(content), { fromFile: path.relative(_globalRootDir, absoluteStylesFilePath) })].filter(Boolean));
+      return;
+    }
+    let removedRuleCount = 0; // Generated @import/@use/@forward rules dropped with their blocks
+    const written = await updateFile(absoluteStylesFilePath, (content) => {
+      const cleaned = removeAllBlocks(content);
+      removedRuleCount = countRules(content) - countRules(cleaned);
+      return cleaned;
+    }, { history: getHistoryOptions("cleanup") });
+
+    if (written) {
+      console.log(`\n🧹 Cleaned up all managed import blocks in ${path.basename(absoluteStylesFilePath)} (${removedRuleCount} generated rule(s) removed).`);
     }
+  } catch (error) {
+    console.error(`\n❌ Error during final styles file cleanup ${path.basename(absoluteStylesFilePath)}: ${error.message}`);
+  }
+}
+
+// --- Styles File History ---
+
+// One line per snapshot: "#12  2026-05-04 14:03:12  src/main.scss  (before components)"
+function formatSnapshot(snapshot) {
+  const time = new Date(snapshot.timestamp).toLocaleString('sv-SE'); // sv-SE gives "YYYY-MM-DD HH:MM:SS"
+  return `#${snapshot.id}  ${time}  ${snapshot.file}  (before ${snapshot.trigger || 'unknown'})`;
+}
+
+/**
+ * Writes a version from the history back into its styles file. The version it replaces goes into the history
+ * too, so a restore can be undone like any other change. With --dry-run the diff is printed instead.
+ * @param {number} id - Snapshot id
+ * @returns {Promise<boolean>} true if the styles file was written
+ */
+async function restoreSnapshot(id) {
+  const snapshot = readSnapshot(_globalRootDir, id);
+  const absoluteStylesFilePath = path.resolve(_globalRootDir, snapshot.file);
+  if (!fs.existsSync(absoluteStylesFilePath)) {
+    throw new Error(`Styles file ${snapshot.file} of snapshot #${id} does not exist anymore.`);
+  }
+  if (_dryRun) {
+    const content = readStylesFile(absoluteStylesFilePath);
+    printDiffs([formatUnifiedDiff(content, decodeContent(snapshot.content), { fromFile: snapshot.file })].filter(Boolean));
+    return false;
+  }
+  // Versions are kept byte for byte, line endings and BOM included
+  const written = await updateFile(absoluteStylesFilePath, () => snapshot.content, { raw: true, history: getHistoryOptions(`restore #${id}`) });
+  adoptRestoredBlocks(absoluteStylesFilePath);
+  return written;
+}
+
+/**
+ * Puts back the version a styles file had before its last write. The snapshot is taken out of the history,
+ * so undoing again goes one more version back. With --dry-run the diff is printed instead.
+ * @param {string} [file] - Styles file relative to the root, defaults to the one written last
+ * @returns {Promise<Object>} The snapshot that was put back
+ */
+async function undoLastChange(file) {
+  const [latest] = listSnapshots(_globalRootDir, file);
+  if (!latest) {
+    throw new Error(file ? `There is no earlier version of ${file} in the history.` : "The history is empty.");
+  }
+  const snapshot = readSnapshot(_globalRootDir, latest.id);
+  const absoluteStylesFilePath = path.resolve(_globalRootDir, snapshot.file);
+  if (!fs.existsSync(absoluteStylesFilePath)) {
+    throw new Error(`Styles file ${snapshot.file} does not exist anymore.`);
+  }
+  if (_dryRun) {
+    const content = readStylesFile(absoluteStylesFilePath);
+    printDiffs([formatUnifiedDiff(content, decodeContent(snapshot.content), { fromFile: snapshot.file })].filter(Boolean));
+    return snapshot;
+  }
+  await updateFile(absoluteStylesFilePath, () => snapshot.content, { raw: true });
+  adoptRestoredBlocks(absoluteStylesFilePath);
+  deleteSnapshot(_globalRootDir, snapshot.id);
+  return snapshot;
+}
 
+// Styles files with versions in the history, the one written last first
+function getFilesWithHistory() {
+  return [...new Set(listSnapshots(_globalRootDir).map(snapshot => snapshot.file))];
+}
 
-    let cleanedLines = [];
-    let insideMarkerBlock = false;
-    let relevantMarkerFound = false; // Flag to track if any known marker was found
+// Asks which styles file to work on when more than one has a history. Resolves to null on cancel.
+async function promptForFileWithHistory(message) {
+  const files = getFilesWithHistory();
+  if (files.length <= 1) {
+    return files[0] || null;
+  }
+  const { file } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "file",
+      message,
+      choices: [
+        ...files.map(file => ({ name: file, value: file })),
+        new inquirer.Separator(),
+        { name: "🔙 Cancel", value: null },
+      ],
+    },
+  ]);
+  return file;
+}
 
-    // Helper to escape special characters in a string for use in a RegExp
-    function escapeRegExp(string) {
-      return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // $& means the matched substring
+// Pauses the running watchers that write to a styles file, so they don't put their blocks back over a version
+// restored from the history. Returns their names.
+function pauseWatchersOf(file) {
+  const absoluteStylesFilePath = path.resolve(_globalRootDir, file);
+  const paused = [];
+  for (const [name, { config, instance }] of watchers) {
+    if (instance && instance.getIsActive() && path.resolve(_globalRootDir, config.stylesFile) === absoluteStylesFilePath) {
+      instance.pause();
+      paused.push(name);
     }
+  }
+  return paused;
+}
 
-    const startMarkerRegexes = Array.from(allMarkerIds).map(id => new RegExp(`^/\\* ${escapeRegExp(id)} import start \\*/$`, 'm'));
-    const endMarkerRegexes = Array.from(allMarkerIds).map(id => new RegExp(`^/\\* ${escapeRegExp(id)} import end \\*/$`, 'm'));
+function resumeWatchers(names) {
+  names.forEach(name => watchers.get(name)?.instance?.resume());
+}
 
-    for (const line of lines) {
-      let isStartMarker = startMarkerRegexes.some(regex => regex.test(line.trim()));
-      let isEndMarker = endMarkerRegexes.some(regex => regex.test(line.trim()));
+function reportPausedWatchers(names) {
+  if (names.length > 0) {
+    console.log(`⏸️ Paused ${names.join(', ')} so the restored version is not overwritten; resume them under "Show watchers".`);
+  }
+}
 
-      if (isStartMarker) {
-        insideMarkerBlock = true;
-        relevantMarkerFound = true;
-        // Do not add start marker to cleanedLines if we are deleting it
-      } else if (isEndMarker) {
-        insideMarkerBlock = false;
-        relevantMarkerFound = true;
-        // Do not add end marker to cleanedLines if we are deleting it
-      } else if (!insideMarkerBlock) {
-        cleanedLines.push(line);
-      }
+async function undoLastChangeFlow() {
+  const file = await promptForFileWithHistory("Undo the last change of which styles file?");
+  if (!file) {
+    console.log("\nNo earlier versions in the history yet.");
+    return;
+  }
+  const paused = _dryRun ? [] : pauseWatchersOf(file);
+  try {
+    const snapshot = await undoLastChange(file);
+    if (!_dryRun) {
+      console.log(`\n↩️ ${snapshot.file} is back to the version before ${snapshot.trigger || 'the last change'} (${formatSnapshot(snapshot)}).`);
+      reportPausedWatchers(paused);
     }
+  } catch (error) {
+    resumeWatchers(paused);
+    console.error(`\n❌ Could not undo: ${error.message}`);
+  }
+}
 
-    if (relevantMarkerFound) {
-      const finalContent = cleanedLines.join('\n').replace(/\n{3,}/g, '\n\n'); // Normalize multiple newlines
-      fs.writeFileSync(absoluteStylesFilePath, finalContent, "utf8");
-      console.log(`\n🧹 Cleaned up all managed import blocks in ${path.basename(absoluteStylesFilePath)}.`);
-    } else {
-      // console.log(`No managed import blocks found in ${path.basename(absoluteStylesFilePath)}. No cleanup performed.`);
+async function restoreVersionFlow() {
+  const file = await promptForFileWithHistory("Restore a version of which styles file?");
+  if (!file) {
+    console.log("\nNo earlier versions in the history yet.");
+    return;
+  }
+  const { id } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "id",
+      message: `Versions of ${file} (newest first):`,
+      choices: [
+        ...listSnapshots(_globalRootDir, file).map(snapshot => ({ name: formatSnapshot(snapshot), value: snapshot.id })),
+        new inquirer.Separator(),
+        { name: "🔙 Cancel", value: null },
+      ],
+    },
+  ]);
+  if (id === null) {
+    return;
+  }
+
+  const absoluteStylesFilePath = path.resolve(_globalRootDir, file);
+  if (!fs.existsSync(absoluteStylesFilePath)) {
+    console.error(`\n❌ Could not restore: ${file} does not exist anymore.`);
+    return;
+  }
+  if (!_dryRun) {
+    const content = readStylesFile(absoluteStylesFilePath);
+    const diff = formatUnifiedDiff(content, decodeContent(readSnapshot(_globalRootDir, id).content), { fromFile: file });
+    if (diff === '') {
+      console.log(`\n📝 ${file} already matches version #${id}.`);
+      return;
     }
+    console.log(`\n${diff}`);
+    const { confirmRestore } = await inquirer.prompt([
+      { type: "confirm", name: "confirmRestore", message: `Restore version #${id}?`, default: true },
+    ]);
+    if (!confirmRestore) {
+      console.log("\n❌ Restore cancelled.");
+      return;
+    }
+  }
 
+  const paused = _dryRun ? [] : pauseWatchersOf(file);
+  try {
+    if (await restoreSnapshot(id)) {
+      console.log(`\n✅ Restored version #${id} of ${file}. "Undo last change" brings back the version it replaced.`);
+      reportPausedWatchers(paused);
+    } else {
+      resumeWatchers(paused);
+    }
   } catch (error) {
-    console.error(`\n❌ Error during final styles file cleanup ${path.basename(absoluteStylesFilePath)}: ${error.message}`);
+    resumeWatchers(paused);
+    console.error(`\n❌ Could not restore: ${error.message}`);
   }
 }
 
@@ -1318,6 +2469,7 @@ async function mainMenu() {
     }
   }
 
+  handleShutdownSignals();
   // Initialize all watchers on startup (after rootDir/stylesFile are known)
   // This is a one-time init for watchers found in watcherConfigs on startup.
   // handleExternalConfigChange will manage subsequent updates.
@@ -1326,6 +2478,7 @@ async function mainMenu() {
       await loadAndInitializeWatcher(name);
     }
   }
+  startWatchingConfigFile();
 
   while (true) {
     const { action } = await inquirer.prompt([
@@ -1337,6 +2490,8 @@ async function mainMenu() {
           { name: "➕ Create new watcher", value: "create" },
           { name: "👀 Show watchers", value: "show" },
           { name: "🗑️ Delete watcher(s)", value: "delete" },
+          { name: "↩️ Undo last change", value: "undo" },
+          { name: "🕘 Restore version...", value: "restore" },
           { name: "🚪 Exit", value: "exit" },
         ],
       },
@@ -1348,62 +2503,69 @@ async function mainMenu() {
       await showWatchersFlow();
     } else if (action === "delete") {
       await deleteWatcherFlow(null);
+    } else if (action === "undo") {
+      await undoLastChangeFlow();
+    } else if (action === "restore") {
+      await restoreVersionFlow();
     } else if (action === "exit") {
-      const { confirm } = await inquirer.prompt([
+      const { policy } = await inquirer.prompt([
         {
-          type: "confirm",
-          name: "confirm",
-          message:
-              "Are you sure you want to exit? This will stop all watchers and clean up all their imports.",
+          type: "list",
+          name: "policy",
+          message: "Are you sure you want to exit? All watchers will be stopped.",
+          choices: [
+            { name: "💾 Keep everything (markers, imports and watchers.json)", value: "keep" },
+            { name: "📄 Keep imports, remove markers", value: "keep-imports" },
+            { name: "🧹 Full cleanup (remove import blocks and clear all watchers)", value: "clean" },
+            new inquirer.Separator(),
+            { name: "🔙 Cancel", value: "cancel" },
+          ],
+          default: _exitPolicyOverride || _exitPolicy,
         },
       ]);
-      if (confirm) {
-        // Stop all active watchers and clean their markers
-        for (const [name, { instance }] of watchers) {
-          if (instance) {
-            instance.removeMarkers(true); // Remove markers AND their contents
-            instance.close();
-          }
-        }
-        watchers.clear(); // Clear active watchers map
-        watcherConfigs = {}; // Clear persistent watchers config (will be saved empty)
-        _saveConfigsOnExit(); // Use new synchronous save on exit to clear file
-        // Perform final cleanup of the global styles file
-        await cleanAndRewriteAllStylesFiles();
-
-        // Close the config file watcher before exiting
-        if (configFileWatcher) {
-          configFileWatcher.close();
-        }
-
-        console.log("👋 Bye!");
-        process.exit(0);
+      if (policy !== "cancel") {
+        await shutdown(policy);
       }
     }
   }
 }
 
-// Start the main menu flow
-// Load configs first, then proceed to main menu
-loadConfigs();
-mainMenu();
+/**
+ * Stops all watchers and exits, applying an exit policy to the styles file and watchers.json.
+ * @param {string} [policy] - One of EXIT_POLICIES, defaults to --on-exit or the configured _exitPolicy
+ */
+async function shutdown(policy = _exitPolicyOverride || _exitPolicy) {
+  // Flush a pending debounced save so no configuration change is lost
+  if (saveTimeout) {
+    clearTimeout(saveTimeout);
+    _saveConfigsSync();
+  }
 
-// Graceful shutdown on Ctrl+C
-process.on('SIGINT', async () => {
-  console.log('\nStopping all watchers and cleaning up...');
-  // Stop all active watchers and clean their markers
+  // Stop all active watchers, removing markers (and contents) as the policy asks
+  const closing = [];
   for (const [name, { instance }] of watchers) {
     if (instance) {
-      instance.removeMarkers(true); // Remove markers AND their contents
-      instance.close();
+      if (policy === "keep-imports") {
+        await instance.removeMarkers(false); // Remove markers only, the generated rules stay in place
+      } else if (policy === "clean") {
+        await instance.removeMarkers(true); // Remove markers AND their contents
+      }
+      closing.push(instance.close());
     }
   }
-  watchers.clear();
-  watcherConfigs = {}; // Clear persistent watchers config (will be saved empty)
-  _saveConfigsOnExit(); // Use new synchronous save on exit to clear file
-
-  // Perform final cleanup of the global styles file
-  await cleanAndRewriteAllStylesFiles();
+  // File watchers are closed before the process exits, so none of them is cut off halfway
+  await Promise.all(closing);
+
+  if (policy === "clean") {
+    // Perform final cleanup of the global styles file while the marker IDs are still known
+    await cleanAndRewriteAllStylesFiles();
+    Object.values(watcherConfigs).forEach(forgetBlockState);
+    watcherConfigs = {}; // Clear persistent watchers config (will be saved empty)
+    _saveConfigsOnExit(); // Use new synchronous save on exit to clear file
+  } else {
+    console.log(`\n💾 Watchers kept in ${path.basename(getWatchersConfigPath())}; they resume on the next start.`);
+  }
+  watchers.clear(); // Clear active watchers map
 
   // Close the config file watcher before exiting
   if (configFileWatcher) {
@@ -1412,4 +2574,534 @@ process.on('SIGINT', async () => {
 
   console.log("👋 Bye!");
   process.exit(0);
-});
+}
+
+// Graceful shutdown on Ctrl+C (and on `docker stop`), using the configured exit policy.
+// Only once watchers start (menu or "run"): the one-shot subcommands just stop, leaving the files as they are.
+function handleShutdownSignals() {
+  process.on('SIGINT', async () => {
+    console.log('\nStopping all watchers...');
+    await shutdown();
+  });
+  process.on('SIGTERM', async () => {
+    await shutdown();
+  });
+}
+
+// --- Non-interactive Subcommands ---
+
+const USAGE = `
+Usage: scss-import-watcher [command] [options]
+
+Without a command (and with a TTY) the interactive menu starts.
+
+Commands:
+  run                          Start all configured watchers without the menu
+  list [--json]                List the configured watchers
+  add <name> --dir <path>      Add a watcher (dir relative to the project root)
+      [--line <n>] [--marker <id>] [--exclude <a,b>] [--output-mode <import|use|forward>] [--namespace <ns>]
+      [--include <glob,glob>] [--exclude-pattern <glob,glob>] [--extensions <.scss,.sass,.css>]
+      [--styles-file <file>]    Styles file of this watcher (relative to the root), "default" for --styles
+      [--load-path <dir>]       Write import paths relative to this Sass load path instead of the styles file
+      [--placement <line|top|bottom|afterPattern|beforePattern|afterBlock|beforeBlock>]  Where a new block goes
+      [--anchor <regexp|watcher>]  Pattern of the line, or name of the watcher, for the after/before placements
+      [--order-mode <alphabetical|dependencies>]
+      [--manual-edits <overwrite|keep|ask>]  Lines edited by hand in the block: overwrite, keep as pinned lines, or ask
+      [--marker-start <comment> --marker-end <comment>]  Marker template containing "{id}", "default" resets
+      [--grouping <folder|path|nested|none>] [--group-header <template|none|default>] [--group-spacing <n>]
+      [--quotes <double|single>] [--[no-]keep-extension] [--[no-]keep-underscore]
+      [--[no-]combine]          One comma-separated @import per group (only with --output-mode import)
+      [--[no-]folder-imports]   Import subfolders with an _index/index file as the folder, not file by file
+  edit <name> [options]        Change a watcher, same options as "add"
+  remove <name>                Remove a watcher and its import block
+  build                        Regenerate every import block once and exit
+  check                        Exit with code 1 when an import block is stale (nothing is written)
+  restore [<id>]               List the saved versions of the styles files (newest first), or put version <id> back
+      [--file <file>]           Only the versions of this styles file (relative to the root)
+      [--undo]                  Go back to the version before the last write (of --file, or of the file written last)
+      [--json]                  Print the list as JSON
+
+Global options:
+  --config <path>              Path to watchers.json (default: ./watchers.json)
+  --on-exit <policy>           keep (default), keep-imports or clean; overrides _exitPolicy in watchers.json
+  --fix                        Merge orphaned, duplicate, nested or misordered markers back into one block
+                               (without it, a styles file with broken markers is not written)
+  --resolve-edits <keep|overwrite>  Answer for blocks edited by hand whose watcher has --manual-edits ask
+  --dry-run                    Print a unified diff of every styles file change instead of writing (watchers.json is not saved either)
+  --root <dir>                 Project root, when the config does not have one yet
+  --styles <file>              Default styles file (relative to the root), when the config does not have one yet
+  -h, --help                   Show this help
+`;
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = ["json", "help", "dry-run", "undo", "fix", "keep-extension", "keep-underscore", "combine", "folder-imports"];
+
+// Makes sure project settings are known, optionally taking them from --root/--styles
+function requireProjectSettings(options = {}) {
+  if (options.root) {
+    _globalRootDir = path.resolve(options.root);
+  }
+  if (options.styles) {
+    if (!_globalRootDir) {
+      throw new Error("--styles needs a project root (--root).");
+    }
+    _globalStylesFile = path.relative(_globalRootDir, path.resolve(_globalRootDir, options.styles));
+  }
+  if (!_globalRootDir || !_globalStylesFile) {
+    throw new Error(`No project root or styles file configured in ${getWatchersConfigPath()}. Pass --root and --styles, or run the interactive setup first.`);
+  }
+}
+
+// Translates add/edit flags into watcher config fields, validating them on the way
+function watcherChangesFromOptions(options) {
+  const changes = {};
+
+  if (options.dir !== undefined) {
+    const watchDirAbsolute = path.resolve(_globalRootDir, String(options.dir));
+    if (path.relative(_globalRootDir, watchDirAbsolute).startsWith('..')) {
+      throw new Error(`Watch directory "${options.dir}" is outside the project root ${_globalRootDir}.`);
+    }
+    if (!fs.existsSync(watchDirAbsolute) || !fs.lstatSync(watchDirAbsolute).isDirectory()) {
+      throw new Error(`Watch directory "${options.dir}" does not exist.`);
+    }
+    changes.watchDir = path.relative(_globalRootDir, watchDirAbsolute);
+  }
+  if (options.stylesFile !== undefined) {
+    const stylesFile = String(options.stylesFile).trim();
+    if (stylesFile === '' || stylesFile === 'default' || stylesFile === 'true') {
+      changes.stylesFile = undefined; // undefined = project default
+    } else {
+      const stylesFileAbsolute = path.resolve(_globalRootDir, stylesFile);
+      if (path.relative(_globalRootDir, stylesFileAbsolute).startsWith('..')) {
+        throw new Error(`Styles file "${stylesFile}" is outside the project root ${_globalRootDir}.`);
+      }
+      changes.stylesFile = path.relative(_globalRootDir, stylesFileAbsolute);
+    }
+  }
+  if (options.loadPath !== undefined) {
+    const loadPath = String(options.loadPath).trim();
+    changes.loadPath = loadPath === '' || loadPath === 'true' ? undefined : path.relative(_globalRootDir, path.resolve(_globalRootDir, loadPath)); // undefined = relative to the styles file
+  }
+  if (options.line !== undefined) {
+    const line = parseInt(options.line);
+    if (isNaN(line) || line <= 0) {
+      throw new Error(`--line must be a positive number, got "${options.line}".`);
+    }
+    changes.line = line;
+  }
+  if (options.placement !== undefined) {
+    if (!PLACEMENTS.includes(options.placement)) {
+      throw new Error(`--placement must be one of: ${PLACEMENTS.join(', ')}.`);
+    }
+    changes.placement = options.placement === "line" ? undefined : options.placement; // undefined = default
+    if (!/(Pattern|Block)$/.test(options.placement)) changes.anchor = undefined;
+  }
+  if (options.anchor !== undefined) {
+    changes.anchor = String(options.anchor).trim() || undefined;
+  }
+  if (options.marker !== undefined) {
+    const marker = String(options.marker).trim();
+    changes.markerId = marker === '' || marker === 'auto' || marker === 'true' ? undefined : marker; // undefined = default
+  }
+  if (options.markerStart !== undefined || options.markerEnd !== undefined) {
+    const markerStart = String(options.markerStart ?? '').trim();
+    const markerEnd = String(options.markerEnd ?? '').trim();
+    if (markerStart === 'default' || markerEnd === 'default') {
+      changes.markerTemplate = undefined; // undefined = project default
+    } else if (!markerStart.includes('{id}') || !markerEnd.includes('{id}')) {
+      throw new Error('--marker-start and --marker-end are needed together and must both contain "{id}".');
+    } else {
+      changes.markerTemplate = { start: markerStart, end: markerEnd };
+    }
+  }
+  if (options.exclude !== undefined) {
+    changes.excludePaths = String(options.exclude).split(',').map(p => p.trim()).filter(p => p !== '' && p !== 'true');
+  }
+  if (options.include !== undefined) {
+    const include = String(options.include).split(',').map(p => p.trim()).filter(p => p !== '' && p !== 'true');
+    changes.include = include.length > 0 ? include : undefined; // undefined = default (one pattern per extension)
+  }
+  if (options.extensions !== undefined) {
+    const extensions = String(options.extensions).split(',').map(ext => ext.trim()).filter(ext => ext !== '' && ext !== 'true');
+    changes.extensions = extensions.length > 0 ? extensions : undefined; // undefined = default (.scss)
+  }
+  if (options.excludePattern !== undefined) {
+    changes.exclude = String(options.excludePattern).split(',').map(p => p.trim()).filter(p => p !== '' && p !== 'true');
+  }
+  if (options.outputMode !== undefined) {
+    if (!OUTPUT_MODES.includes(options.outputMode)) {
+      throw new Error(`--output-mode must be one of: ${OUTPUT_MODES.join(', ')}.`);
+    }
+    changes.outputMode = options.outputMode;
+    if (options.outputMode !== "import") changes.combine = undefined; // @use/@forward take one path per rule
+  }
+  if (options.namespace !== undefined) {
+    changes.namespace = String(options.namespace);
+  }
+  if (options.grouping !== undefined) {
+    if (!GROUPINGS.includes(options.grouping)) {
+      throw new Error(`--grouping must be one of: ${GROUPINGS.join(', ')}.`);
+    }
+    changes.grouping = options.grouping === "folder" ? undefined : options.grouping; // undefined = default
+  }
+  if (options.groupHeader !== undefined) {
+    const groupHeader = options.groupHeader === true ? '' : String(options.groupHeader);
+    changes.groupHeader = groupHeader === 'default' ? undefined : groupHeader === 'none' ? '' : groupHeader;
+  }
+  if (options.quotes !== undefined) {
+    if (!QUOTE_STYLES.includes(options.quotes)) {
+      throw new Error(`--quotes must be one of: ${QUOTE_STYLES.join(', ')}.`);
+    }
+    changes.quotes = options.quotes === "double" ? undefined : options.quotes; // undefined = default
+  }
+  // Boolean flags: --keep-extension turns the option on, --no-keep-extension off again
+  ["keepExtension", "keepUnderscore", "combine", "folderImports"].forEach(option => {
+    if (options[option] !== undefined) {
+      changes[option] = options[option] === true || options[option] === "true" || undefined; // undefined = off
+    }
+  });
+  if (options.groupSpacing !== undefined) {
+    const groupSpacing = parseInt(options.groupSpacing);
+    if (isNaN(groupSpacing) || groupSpacing < 0) {
+      throw new Error(`--group-spacing must be 0 or a positive number, got "${options.groupSpacing}".`);
+    }
+    changes.groupSpacing = groupSpacing || undefined; // undefined = 0
+  }
+  if (options.orderMode !== undefined) {
+    if (!ORDER_MODES.includes(options.orderMode)) {
+      throw new Error(`--order-mode must be one of: ${ORDER_MODES.join(', ')}.`);
+    }
+    changes.orderMode = options.orderMode === "alphabetical" ? undefined : options.orderMode; // undefined = default
+  }
+  if (options.manualEdits !== undefined) {
+    if (!MANUAL_EDIT_POLICIES.includes(options.manualEdits)) {
+      throw new Error(`--manual-edits must be one of: ${MANUAL_EDIT_POLICIES.join(', ')}.`);
+    }
+    changes.manualEdits = options.manualEdits === "overwrite" ? undefined : options.manualEdits; // undefined = default
+  }
+
+  return changes;
+}
+
+// Prints one line per watcher, or the full configuration as JSON
+async function listCommand(positionals, options) {
+  if (options.json) {
+    console.log(JSON.stringify({
+      rootDir: _globalRootDir,
+      stylesFile: _globalStylesFile,
+      watchers: Object.values(watcherConfigs),
+    }, null, 2));
+    return;
+  }
+
+  const names = Object.keys(watcherConfigs);
+  if (names.length === 0) {
+    console.log("\nNo watchers configured yet.");
+    return;
+  }
+  console.log(`\n📁 Project Root: ${_globalRootDir}`);
+  console.log(`📄 Styles File: ${_globalStylesFile}`);
+  for (const name of names) {
+    const config = watcherConfigs[name];
+    const excludes = config.excludePaths && config.excludePaths.length > 0 ? ` (excludes: ${config.excludePaths.join(', ')})` : '';
+    console.log(`  ${name} - Watch: ${config.watchDir} - Styles: ${getStylesFile(config)} - Placement: ${formatPlacement(config)} - Marker: ${config.markerId || 'auto'} - @${config.outputMode || 'import'}${excludes}`);
+  }
+}
+
+// Adds a watcher with the same parent/child exclusion bookkeeping as createWatcherFlow()
+async function addCommand(positionals, options) {
+  const [name] = positionals;
+  requireProjectSettings(options);
+  if (!name) {
+    throw new Error("Usage: add <name> --dir <path> [--line <n>] [--marker <id>]");
+  }
+  if (watcherConfigs[name]) {
+    throw new Error(`A watcher named "${name}" already exists. Use "edit" to change it.`);
+  }
+  if (options.dir === undefined) {
+    throw new Error("--dir is required.");
+  }
+
+  const affectedWatchers = addWatcherConfig({
+    name,
+    line: 1,
+    excludePaths: [],
+    outputMode: "import",
+    ...watcherChangesFromOptions(options),
+  });
+
+  await rewriteWatcherBlocks([
+    ...affectedWatchers.map(existingWatcherName => ({ name: existingWatcherName })),
+    { name, previousConfig: null },
+  ]);
+  _saveConfigsSync(); // Only once the styles files could be written
+  console.log(_dryRun ? `\n🔍 Dry run: watcher "${name}" was not added.` : `\n✨ Watcher "${name}" added.`);
+}
+
+// Changes a watcher with the same bookkeeping as editWatcherFlow()
+async function editCommand(positionals, options) {
+  const [name] = positionals;
+  requireProjectSettings(options);
+  if (!name || !watcherConfigs[name]) {
+    throw new Error(name ? `Watcher "${name}" not found.` : "Usage: edit <name> [options]");
+  }
+
+  const previousConfig = JSON.parse(JSON.stringify(watcherConfigs[name]));
+  const affectedWatchers = updateWatcherConfig(name, watcherChangesFromOptions(options));
+
+  await rewriteWatcherBlocks([
+    { name, previousConfig },
+    ...affectedWatchers.map(otherWatcherName => ({ name: otherWatcherName })),
+  ]);
+  _saveConfigsSync(); // Only once the styles files could be written
+  console.log(_dryRun ? `\n🔍 Dry run: watcher "${name}" was not changed.` : `\n✅ Watcher "${name}" updated.`);
+}
+
+// Removes a watcher and its block with the same bookkeeping as deleteWatcherFlow()
+async function removeCommand(positionals, options) {
+  const [name] = positionals;
+  requireProjectSettings(options);
+  if (!name || !watcherConfigs[name]) {
+    throw new Error(name ? `Watcher "${name}" not found.` : "Usage: remove <name>");
+  }
+
+  const previousConfig = watcherConfigs[name];
+  const affectedWatchers = removeWatcherConfig(name);
+
+  await rewriteWatcherBlocks([
+    { name, previousConfig },
+    ...affectedWatchers.map(otherWatcherName => ({ name: otherWatcherName })),
+  ]);
+  _saveConfigsSync(); // Only once the styles files could be written
+  forgetBlockState(previousConfig);
+  console.log(_dryRun ? `\n🔍 Dry run: watcher "${name}" was not removed.` : `\n🗑️ Watcher "${name}" removed.`);
+}
+
+// Regenerates every block once (no file watchers) and prints what changed
+async function buildCommand(positionals, options) {
+  requireProjectSettings(options);
+  const results = await buildImports({
+    rootDir: _globalRootDir,
+    stylesFile: _globalStylesFile,
+    markerTemplate: _markerTemplate,
+    historyLimit: _historyLimit,
+    repairMarkers: _fixMarkers,
+    resolveManualEdits: _resolveEdits || undefined,
+    watchers: watcherConfigs,
+    dryRun: _dryRun,
+  });
+
+  if (results.length === 0) {
+    console.log("\nNo watchers configured, nothing to build.");
+    return;
+  }
+
+  console.log(`\n🔨 Building import blocks in ${getAllStylesFiles().join(', ')}...`);
+  for (const result of results) {
+    if (!result.changed) {
+      console.log(`  ✔️ ${result.name} (${result.stylesFile}): ${result.rules} rule(s), unchanged`);
+      continue;
+    }
+    result.markerProblems.forEach(problem => console.log(`  🔧 ${result.name}: broken markers ${_dryRun ? 'would be ' : ''}repaired (${problem.message})`));
+    if (_dryRun) {
+      console.log(`  ✏️ ${result.name} (${result.stylesFile}): ${result.rules} rule(s), would be updated`);
+      console.log(result.diff.split('\n').map(line => `      ${line}`).join('\n'));
+      continue;
+    }
+    console.log(`  ✏️ ${result.name} (${result.stylesFile}): ${result.rules} rule(s), updated (+${result.added.length} -${result.removed.length})`);
+    result.added.forEach(rule => console.log(`      + ${rule}`));
+    result.removed.forEach(rule => console.log(`      - ${rule}`));
+  }
+
+  const changedCount = results.filter(result => result.changed).length;
+  if (_dryRun) {
+    console.log(`\n🔍 Dry run finished: ${changedCount} of ${results.length} block(s) would be updated, nothing was written.`);
+    return;
+  }
+  console.log(`\n✅ Build finished: ${changedCount} of ${results.length} block(s) updated.`);
+}
+
+// Compares every block with what build would write and fails when one is stale (for CI)
+async function checkCommand(positionals, options) {
+  requireProjectSettings(options);
+  const results = checkImports({
+    rootDir: _globalRootDir,
+    stylesFile: _globalStylesFile,
+    markerTemplate: _markerTemplate,
+    watchers: watcherConfigs,
+  });
+
+  console.log(`\n🔍 Checking import blocks in ${getAllStylesFiles().join(', ')}...`);
+  for (const result of results) {
+    if (result.upToDate) {
+      console.log(`  ✔️ ${result.name} (${result.stylesFile}): up to date`);
+      continue;
+    }
+    if (result.markerProblems.length > 0) {
+      console.log(`  ❌ ${result.name} (${result.stylesFile}): broken markers`);
+      result.markerProblems.forEach(problem => console.log(`      ${problem.message}`));
+      continue;
+    }
+    if (result.missingBlock) {
+      console.log(`  ❌ ${result.name}: no "${result.markerId}" import block found in ${result.stylesFile}`);
+    } else {
+      console.log(`  ❌ ${result.name} (${result.stylesFile}): stale`);
+    }
+    const ruleChanges = result.diff.filter(change => change.type !== "equal");
+    ruleChanges.forEach(change => console.log(`      ${change.type === "added" ? "+" : "-"} ${change.line}`));
+    if (ruleChanges.length === 0 && result.blockDiff) {
+      // Same rules, but the headers, spacing or position of the block differ from what build writes
+      console.log(result.blockDiff.split('\n').map(line => `      ${line}`).join('\n'));
+    }
+  }
+
+  const staleCount = results.filter(result => !result.upToDate).length;
+  if (staleCount > 0) {
+    const buildCommandLine = results.some(result => result.markerProblems.length > 0) ? "scss-import-watcher build --fix" : "scss-import-watcher build";
+    console.error(`\n❌ ${staleCount} of ${results.length} import block(s) are out of date. Run "${buildCommandLine}" and commit the result.`);
+    process.exitCode = 1;
+  } else {
+    console.log(`\n✅ All ${results.length} import block(s) are up to date.`);
+  }
+}
+
+// Lists the styles file history, restores a version from it or undoes the last write
+async function restoreCommand(positionals, options) {
+  requireProjectSettings(options);
+  const [id] = positionals;
+  const file = options.file ? path.relative(_globalRootDir, path.resolve(_globalRootDir, String(options.file))) : undefined;
+
+  if (options.undo) {
+    const snapshot = await undoLastChange(file);
+    if (!_dryRun) {
+      console.log(`\n↩️ ${snapshot.file} is back to the version before ${snapshot.trigger || 'the last change'} (${formatSnapshot(snapshot)}).`);
+    }
+    return;
+  }
+
+  if (id !== undefined) {
+    if (!/^\d+$/.test(id)) {
+      throw new Error(`Snapshot id must be a number, got "${id}".`);
+    }
+    const written = await restoreSnapshot(Number(id));
+    if (!_dryRun) {
+      const { file: restoredFile } = readSnapshot(_globalRootDir, Number(id));
+      console.log(written ? `\n✅ Restored version #${id} of ${restoredFile}.` : `\n📝 ${restoredFile} already matches version #${id}.`);
+    }
+    return;
+  }
+
+  const snapshots = listSnapshots(_globalRootDir, file);
+  if (options.json) {
+    console.log(JSON.stringify(snapshots, null, 2));
+    return;
+  }
+  if (snapshots.length === 0) {
+    console.log(`\nNo saved versions${file ? ` of ${file}` : ''} yet.`);
+    return;
+  }
+  console.log(`\n🕘 Saved versions (newest first, ${_historyLimit} kept per styles file):`);
+  snapshots.forEach(snapshot => console.log(`  ${formatSnapshot(snapshot)}`));
+}
+
+// Starts every configured watcher and keeps running until the process is stopped
+async function runCommand(positionals, options) {
+  requireProjectSettings(options);
+  handleShutdownSignals();
+  for (const name in watcherConfigs) {
+    await loadAndInitializeWatcher(name);
+  }
+  startWatchingConfigFile();
+  console.log(`\n👀 ${watchers.size} watcher(s) running. Press Ctrl+C to stop.`);
+}
+
+const SUBCOMMANDS = {
+  run: runCommand,
+  list: listCommand,
+  add: addCommand,
+  edit: editCommand,
+  remove: removeCommand,
+  build: buildCommand,
+  check: checkCommand,
+  restore: restoreCommand,
+};
+
+// --on-exit overrides the policy from watchers.json for this session only
+function applyExitPolicyOption(options) {
+  if (options.onExit === undefined) {
+    return;
+  }
+  if (!EXIT_POLICIES.includes(options.onExit)) {
+    throw new Error(`--on-exit must be one of: ${EXIT_POLICIES.join(', ')}.`);
+  }
+  _exitPolicyOverride = options.onExit;
+}
+
+async function main(argv) {
+  const { command, positionals, options } = parseArgs(argv, BOOLEAN_FLAGS);
+  if (options.config) {
+    _watchersJsonPath = path.resolve(String(options.config));
+  }
+
+  if (options.help || command === "help") {
+    console.log(USAGE);
+    return;
+  }
+  _dryRun = Boolean(options.dryRun);
+  _fixMarkers = Boolean(options.fix);
+  if (options.resolveEdits !== undefined && !["keep", "overwrite"].includes(options.resolveEdits)) {
+    console.error("❌ --resolve-edits must be keep or overwrite.");
+    process.exitCode = 1;
+    return;
+  }
+  _resolveEdits = options.resolveEdits || null;
+  if (_dryRun && !options.json) {
+    console.log("🔍 Dry run: styles files and watchers.json are not written, changes are printed as diffs.");
+  }
+
+  if (!command) {
+    // The interactive menu stays the default, but only when somebody can answer its prompts
+    if (!process.stdin.isTTY) {
+      console.error("❌ No command given and stdin is not a TTY, so the interactive menu cannot start.");
+      console.log(USAGE);
+      process.exitCode = 1;
+      return;
+    }
+    // Load configs first, then proceed to main menu
+    loadConfigs();
+    try {
+      applyExitPolicyOption(options);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+    await mainMenu();
+    return;
+  }
+
+  const subcommand = SUBCOMMANDS[command];
+  if (!subcommand) {
+    console.error(`❌ Unknown command "${command}".`);
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  _isInteractive = false;
+  try {
+    loadConfigs(Boolean(options.json));
+    applyExitPolicyOption(options);
+    await subcommand(positionals, options);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    if (error instanceof MarkerIntegrityError) {
+      console.log("Run the command again with --fix to merge them back into one block.");
+    } else if (error instanceof ManualEditsError) {
+      console.log("Run the command again with --resolve-edits keep or --resolve-edits overwrite.");
+    }
+    process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2));
@@ -3,6 +3,14 @@
 const fs = require("fs");
 const path = require("path");
 const chokidar = require("chokidar");
+const picomatch = require("picomatch");
+const { diffLines, formatUnifiedDiff } = require("./lib/diff");
+const { isIndentedSyntax, formatComment, getCommentText, createMarkers, validateMarkers, MarkerIntegrityError } = require("./lib/markers");
+const { parseSymbols, topologicalSort } = require("./lib/dependencies");
+const { PRAGMA_PREFIX, parsePragmas, samePragmas } = require("./lib/pragmas");
+const { updateFile, readStylesFile, removeLines } = require("./lib/stylesFile");
+const { DEFAULT_HISTORY_LIMIT } = require("./lib/history");
+const { MANUAL_EDIT_POLICIES, hashLines, getBlockState, setBlockState, findManualEdits, ManualEditsError } = require("./lib/blockState");
 
 function debounce(fn, delay) {
   let timer = null;
@@ -15,15 +23,62 @@ function debounce(fn, delay) {
   };
 }
 
+// Rules a watcher can generate, see the `outputMode` option
+const OUTPUT_MODES = ["import", "use", "forward"];
+
+// How imports are sorted before `order` is applied
+const ORDER_MODES = ["alphabetical", "dependencies"];
+
+// How imports are split into commented groups
+const GROUPINGS = ["none", "folder", "path", "nested"];
+
+// Where a new block is inserted, see the `placement` option; the last four need an `anchor`
+const PLACEMENTS = ["line", "top", "bottom", "afterPattern", "beforePattern", "afterBlock", "beforeBlock"];
+const ANCHORED_PLACEMENTS = ["afterPattern", "beforePattern", "afterBlock", "beforeBlock"];
+
+// Quote character per style of the `quotes` option
+const QUOTES = { double: '"', single: "'" };
+const QUOTE_STYLES = Object.keys(QUOTES);
+
 /**
- * Helper to extract the import path from an @import line and normalize it to POSIX style.
+ * Helper to extract the paths from an @import, @use or @forward line and normalize them to POSIX style.
+ * Understands both quote styles and combined imports (`@import "a", "b";`).
  * @param {string} line
- * @returns {string|null} The normalized import path (e.g., "components/button") or null if not an @import line.
+ * @returns {string[]} The normalized import paths (e.g., ["components/button"]), empty if not a generated rule line.
+ */
+function getImportPathsFromLine(line) {
+  const match = line.match(/@(import|use|forward)\s*/);
+  if (!match) {
+    return [];
+  }
+  const importPaths = [];
+  let rest = line.slice(match.index + match[0].length);
+  for (;;) {
+    const string = rest.match(/^(['"])(.+?)\1\s*/);
+    if (!string) break;
+    // Normalize extracted path to POSIX style (forward slashes) for consistent comparison
+    importPaths.push(string[2].replace(/\\/g, "/"));
+    rest = rest.slice(string[0].length);
+    // Only @import takes a comma-separated list; the semicolon is optional (.sass files have none)
+    if (match[1] !== "import" || !rest.startsWith(",")) break;
+    rest = rest.slice(1).trimStart();
+  }
+  return importPaths;
+}
+
+/**
+ * Helper to extract the (first) path from an @import, @use or @forward line, see getImportPathsFromLine().
+ * @param {string} line
+ * @returns {string|null} The normalized import path (e.g., "components/button") or null if not a generated rule line.
  */
 function getImportPathFromLine(line) {
-  const match = line.match(/@import\s*['"](.+?)['"];/);
-  // Normalize extracted path to POSIX style (forward slashes) for consistent comparison
-  return match ? match[1].replace(/\\/g, "/") : null;
+  const [importPath] = getImportPathsFromLine(line);
+  return importPath === undefined ? null : importPath;
+}
+
+// True when filePath is dir itself or inside it (absolute paths)
+function contains(dir, filePath) {
+  return filePath === dir || filePath.startsWith(dir + path.sep);
 }
 
 // Helper function to escape special characters in a string for use in a RegExp
@@ -32,58 +87,304 @@ function escapeRegExp(string) {
 }
 
 /**
+ * Returns the namespace Sass gives a `@use` rule without an `as` clause: the last URL
+ * component without leading underscore or extension (e.g. "abstracts/_colors" -> "colors").
+ * @param {string} importPath
+ * @returns {string}
+ */
+function getDefaultNamespace(importPath) {
+  return path.posix.basename(importPath).replace(/^_/, "").replace(/\.s[ac]ss$|\.css$/, "");
+}
+
+/**
+ * Finds the index of the first line that Sass does not allow above a `@use`/`@forward` rule.
+ * Comments, blank lines, `@charset`, `@use`, `@forward` and variable declarations may precede
+ * module rules; anything else (style rules, `@import`, `@include`, ...) may not.
+ * @param {string[]} lines
+ * @param {boolean} [indented=false] - true for .sass files, where declarations do not end with a semicolon
+ * @returns {number} Index of the first such line, or lines.length if there is none.
+ */
+function findFirstNonModuleRuleIndex(lines, indented = false) {
+  let inBlockComment = false;
+  let inDeclaration = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+
+    if (inBlockComment) {
+      if (trimmed.includes("*/")) inBlockComment = false;
+      continue;
+    }
+    if (inDeclaration) {
+      // Multi-line variable declarations (maps, lists) end with a semicolon
+      if (trimmed.endsWith(";")) inDeclaration = false;
+      continue;
+    }
+
+    if (trimmed === "" || trimmed.startsWith("//")) {
+      continue;
+    }
+    if (trimmed.startsWith("/*")) {
+      if (!trimmed.includes("*/")) inBlockComment = true;
+      continue;
+    }
+    if (/^@(use|forward|charset)\b/.test(trimmed)) {
+      continue;
+    }
+    if (/^\$[\w-]+\s*:/.test(trimmed)) {
+      if (!indented && !trimmed.endsWith(";")) inDeclaration = true;
+      continue;
+    }
+    return i;
+  }
+  return lines.length;
+}
+
+/**
+ * Creates the import generation logic of a single watcher, without any file system watching.
+ * Used by scssImportWatcher() and by the one-shot buildImports().
  * @param {Object} options
  * @param {string} options.rootDir - Root directory
  * @param {string} options.watchDir - Folder to watch (relative to rootDir)
  * @param {string} options.stylesFile - Styles file to update (relative to rootDir)
  * @param {string} options.name - Name of the watcher (used as label)
- * @param {number} options.line - Line number in stylesFile to insert imports
+ * @param {number} options.line - Line number in stylesFile to insert imports (with placement "line", and as fallback
+ *   when an anchor is not found)
+ * @param {string} [options.placement="line"] - Where a new block goes: "line", "top" (below a @charset), "bottom",
+ *   "afterPattern"/"beforePattern" (the first line matching the regular expression `anchor`) or
+ *   "afterBlock"/"beforeBlock" (the block of the watcher named `anchor` in the same styles file)
+ * @param {string} [options.anchor] - Pattern or watcher name for the anchored placements
  * @param {string} [options.markerId] - Optional unique marker ID for this watcher (defaults to watchDir name)
  * @param {string[]} [options.excludePaths=[]] - Paths to exclude from watching (relative to rootDir)
  * @param {Object} [options.allWatchersConfigs={}] - All currently configured watcher configurations for cross-watcher filtering
+ * @param {string} [options.defaultStylesFile=stylesFile] - Target of watchers in allWatchersConfigs without their own stylesFile
+ * @param {string} [options.loadPath] - Sass load path (relative to rootDir) to write import paths relative to; by default
+ *   they are relative to the directory of stylesFile
+ * @param {string} [options.outputMode="import"] - Rule to generate: "import", "use" or "forward"
+ * @param {string|Object} [options.namespace="auto"] - `@use` namespace: "auto" (file name, made unique when needed),
+ *   "*", a template containing "{name}", or an object mapping paths relative to watchDir (like `order`) to namespaces.
+ *   A fixed name without "{name}" only works while the watcher writes a single rule
+ * @param {Object} [options.withConfig={}] - `with (...)` configuration per path relative to watchDir (like `order`),
+ *   e.g. { "abstracts/variables": { "primary": "#333" } }
+ * @param {string[]} [options.include] - Glob patterns (relative to watchDir) a file must match to be imported, defaults to
+ *   one "**\/*<ext>" pattern per extension; entries starting with "!" are treated as exclude patterns
+ * @param {string[]} [options.exclude=[]] - Glob patterns (relative to watchDir) for files and folders to skip
+ * @param {string[]} [options.extensions=[".scss"]] - Source extensions to import, in order of preference when two files
+ *   resolve to the same import path (e.g. [".scss", ".sass", ".css"])
+ * @param {function(string)} [options.onWarning] - Receives warnings (e.g. ambiguous imports), defaults to console.warn
+ * @param {Object} [options.order] - Import order: `groups` lists group names in order ("*" stands for all others),
+ *   `first` and `last` list files (paths relative to watchDir without underscore/extension, or globs) to pin
+ *   to the start or end of their group; everything else is sorted according to orderMode
+ * @param {string} [options.orderMode="alphabetical"] - "alphabetical", or "dependencies" to read the partials and put
+ *   definitions of variables, mixins, functions and placeholders before their uses (alphabetical as tie-breaker)
+ * @param {string} [options.grouping="folder"] - "none", "folder" (first folder below watchDir), "path" (full folder path)
+ *   or "nested" (one indented group per folder level)
+ * @param {string} [options.groupHeader] - Header line template with "{group}", e.g. "// {group}" or "/* === {group} === *\/";
+ *   "" for no headers. Defaults to a comment in the syntax of the styles file.
+ * @param {number} [options.groupSpacing=0] - Blank lines between groups
+ * @param {{start: string, end: string}} [options.markerTemplate] - Marker comment lines containing "{id}", e.g.
+ *   { start: "// @generated:{id} begin", end: "// @generated:{id} end" }; the default format is recognized as well
+ * @param {boolean} [options.dryRun=false] - Never write the styles file; report a unified diff of each update instead
+ * @param {function(string)} [options.onDiff] - Receives the diffs of dryRun, defaults to console.log
+ * @param {number} [options.historyLimit=20] - Versions of the styles file kept in .scss-import-watcher/history
+ *   before it is overwritten, 0 keeps none
+ * @param {boolean} [options.repairMarkers=false] - Merge orphaned, duplicate, nested or misordered markers of this
+ *   watcher back into one block when writing; without it such a file is not written (MarkerIntegrityError)
+ * @param {string} [options.quotes="double"] - Quotes around import paths: "double" or "single"
+ * @param {boolean} [options.keepExtension=false] - Write the file extension of .scss/.sass files (never of .css files,
+ *   Sass would turn those into plain CSS imports)
+ * @param {boolean} [options.keepUnderscore=false] - Write the leading underscore of partials
+ * @param {boolean} [options.combine=false] - One comma-separated `@import "a", "b";` per group (only for outputMode "import")
+ * @param {boolean} [options.folderImports=false] - Import each subfolder of watchDir that has an `_index` or `index` file
+ *   once as the folder path (e.g. "components/forms") and leave its contents to that file
+ * @param {string} [options.manualEdits="overwrite"] - What happens to lines edited by hand inside the block since it was
+ *   last written (recorded in .scss-import-watcher/state.json): "overwrite" them with a warning, "keep" added lines as
+ *   pinned extras at the end of the block, or "ask" (ManualEditsError until resolveManualEdits() decides)
  */
-function scssImportWatcher(options) {
+function createImportGenerator(options) {
   const {
     rootDir,
     watchDir, // relative to rootDir
     stylesFile, // relative to rootDir
     name, // The user-defined name of this watcher
     line,
+    placement = "line",
+    anchor,
     markerId: userMarkerId, // User-provided markerId
     excludePaths = [],
-    allWatchersConfigs = {} // All watcher configs passed from CLI
+    allWatchersConfigs = {}, // All watcher configs passed from CLI
+    defaultStylesFile = stylesFile, // Target of watchers without their own stylesFile
+    loadPath, // relative to rootDir
+    outputMode = "import",
+    namespace = "auto",
+    withConfig = {},
+    extensions = [".scss"],
+    exclude = [],
+    onWarning = (message) => console.warn(message),
+    order = {},
+    orderMode = "alphabetical",
+    grouping = "folder",
+    groupHeader,
+    groupSpacing = 0,
+    markerTemplate = null,
+    dryRun = false,
+    onDiff = (diff) => console.log(diff),
+    historyLimit = DEFAULT_HISTORY_LIMIT,
+    repairMarkers = false,
+    quotes = "double",
+    keepExtension = false,
+    keepUnderscore = false,
+    combine = false,
+    folderImports = false,
+    manualEdits = "overwrite"
   } = options;
 
+  if (!OUTPUT_MODES.includes(outputMode)) {
+    throw new Error(`Unknown outputMode "${outputMode}". Expected one of: ${OUTPUT_MODES.join(", ")}.`);
+  }
+  if (!ORDER_MODES.includes(orderMode)) {
+    throw new Error(`Unknown orderMode "${orderMode}". Expected one of: ${ORDER_MODES.join(", ")}.`);
+  }
+  if (!GROUPINGS.includes(grouping)) {
+    throw new Error(`Unknown grouping "${grouping}". Expected one of: ${GROUPINGS.join(", ")}.`);
+  }
+  if (!MANUAL_EDIT_POLICIES.includes(manualEdits)) {
+    throw new Error(`Unknown manualEdits "${manualEdits}". Expected one of: ${MANUAL_EDIT_POLICIES.join(", ")}.`);
+  }
+  if (!QUOTE_STYLES.includes(quotes)) {
+    throw new Error(`Unknown quotes "${quotes}". Expected one of: ${QUOTE_STYLES.join(", ")}.`);
+  }
+  if (combine && outputMode !== "import") {
+    throw new Error(`combine only works with outputMode "import", @${outputMode} takes one path per rule.`);
+  }
+  if (!PLACEMENTS.includes(placement)) {
+    throw new Error(`Unknown placement "${placement}". Expected one of: ${PLACEMENTS.join(", ")}.`);
+  }
+  if (ANCHORED_PLACEMENTS.includes(placement) && !anchor) {
+    throw new Error(`placement "${placement}" needs an anchor (${placement.endsWith("Pattern") ? "a pattern" : "a watcher name"}).`);
+  }
+  // Throws a SyntaxError for an invalid pattern right away instead of on the first write
+  const anchorPattern = placement.endsWith("Pattern") ? new RegExp(anchor) : null;
+  if (markerTemplate && [markerTemplate.start, markerTemplate.end].some(marker =>
+      typeof marker !== "string" || !marker.includes("{id}") || getCommentText(marker) === null)) {
+    throw new Error(`markerTemplate needs a "start" and an "end" comment that contain "{id}", e.g. "// @generated:{id} begin".`);
+  }
+  if (markerTemplate && getCommentText(markerTemplate.start) === getCommentText(markerTemplate.end)) {
+    throw new Error(`markerTemplate "start" and "end" must differ.`);
+  }
+
   // Use the user-provided markerId, or default to the basename of the watchDir
   const effectiveMarkerId = userMarkerId || name;
 
   const absoluteStylesFilePath = path.resolve(rootDir, stylesFile);
   const absoluteWatchDir = path.resolve(rootDir, watchDir);
 
+  // Sass resolves imports relative to the importing file first, then relative to its load paths
+  const importBaseDir = loadPath ? path.resolve(rootDir, loadPath) : path.dirname(absoluteStylesFilePath);
+
+  // A .sass target gets its block in indented syntax: `//` comments and no semicolons
+  const indented = isIndentedSyntax(absoluteStylesFilePath);
+  const markers = createMarkers(effectiveMarkerId, indented, markerTemplate);
+  // Heads the lines kept from manual edits at the end of the block
+  const pinnedHeader = formatComment("pinned (edited by hand)", indented);
+
+  // Whether the generated block depends on what the partials contain, not only on which partials exist
+  const dependsOnContent = orderMode === "dependencies";
+
+  const sourceExtensions = extensions.map(ext => (ext.startsWith(".") ? ext : `.${ext}`).toLowerCase());
+  const sourceExtensionPattern = new RegExp(`(${sourceExtensions.map(escapeRegExp).join("|")})$`, "i");
+  const include = options.include || sourceExtensions.map(ext => `**/*${ext}`);
+
+  // Absolute target file of any configured watcher
+  const getTargetFile = (config) => path.resolve(rootDir, config.stylesFile || defaultStylesFile);
+
+  // Every configured target file; none of them may be imported (watchers are read live, they can change)
+  function isTargetFile(absolutePath) {
+    if (absolutePath === absoluteStylesFilePath) {
+      return true;
+    }
+    return Object.values(allWatchersConfigs).some(config => getTargetFile(config) === absolutePath);
+  }
+
   let _currentGroupedImportsCache = {}; // Cache to hold generated imports by group
-  let _isActive = true; // State for pause/resume
-
-  // Debounce the reactive update function
-  const debouncedReactiveUpdate = debounce(() => {
-    if (_isActive) {
-      log(`Triggering update for "${effectiveMarkerId}"...`);
-      generateImports();
-      updateStylesFile();
-    } else {
-      log(`Watcher "${effectiveMarkerId}" is paused. Skipping update.`);
+  let _discoveredFiles = null; // Absolute paths of the importable files, null until the first scan
+  const _pragmas = new Map(); // Absolute path -> pragmas of the partial (see lib/pragmas), read once until it changes
+  let _pragmaOrders = {}; // Order key -> `order` pragma, for the generation in progress
+  let _currentImportOrder = []; // Order keys (paths relative to watchDir) per group, parallel to the cache
+  let _lastWarnings = new Set(); // Warnings of the previous generation, so each one is only reported once
+  let _manualEditsDecision = null; // "keep" or "overwrite" for the next write of a block edited by hand (manualEdits "ask")
+  let _pendingBlockState = null; // What the last applyBlock() put into the block, recorded by recordBlock() once written
+
+  // Glob filters. Negated include patterns ("!**/_legacy-*.scss") are just more exclude patterns.
+  const includeMatcher = picomatch(include.filter(pattern => !pattern.startsWith("!")));
+  const excludeMatcher = picomatch([
+    ...exclude.map(pattern => pattern.replace(/^!/, "")),
+    ...include.filter(pattern => pattern.startsWith("!")).map(pattern => pattern.substring(1)),
+  ]);
+
+  // Path relative to watchDir in POSIX style, which is what the include/exclude globs are matched against
+  function toWatchDirRelative(absolutePath) {
+    return path.relative(absoluteWatchDir, absolutePath).replace(/\\/g, "/");
+  }
+
+  // True for files and folders matching an exclude pattern
+  function isExcludedByPattern(absolutePath) {
+    return excludeMatcher(toWatchDirRelative(absolutePath));
+  }
+
+  // True for files with a source extension matching an include pattern and no exclude pattern
+  function isIncludedFile(absolutePath) {
+    if (!sourceExtensionPattern.test(absolutePath)) {
+      return false;
     }
-  }, 200);
+    const relativePath = toWatchDirRelative(absolutePath);
+    return includeMatcher(relativePath) && !excludeMatcher(relativePath);
+  }
+
+  // True for files and folders in (or equal to) one of this watcher's excludePaths
+  function isExcludedPath(absolutePath) {
+    return excludePaths.some(excluded => {
+      const absoluteExcludedPath = path.resolve(rootDir, excluded);
+      return absolutePath === absoluteExcludedPath || absolutePath.startsWith(absoluteExcludedPath + path.sep);
+    });
+  }
+
+  // Same filters as the scan in scanFiles(), for a single file reported by an event
+  function isDiscoverableFile(absolutePath) {
+    if (!absolutePath.startsWith(absoluteWatchDir + path.sep) || isTargetFile(absolutePath)
+        || isExcludedPath(absolutePath) || !isIncludedFile(absolutePath)) {
+      return false;
+    }
+    // The scan does not descend into folders matching an exclude pattern
+    for (let dir = path.dirname(absolutePath); dir !== absoluteWatchDir; dir = path.dirname(dir)) {
+      if (isExcludedByPattern(dir)) {
+        return false;
+      }
+    }
+    return true;
+  }
 
   // Simple logging function
   const log = (message) => {
     // console.log(`[${name}] ${message}`); // Changed from label to name
   };
 
+  // Warnings are collected per generation and only reported when they are new
+  let _pendingWarnings = new Set();
+  // (also after a generation, when both sets are the same one, e.g. for warnings about where the block goes)
+  const warn = (message) => {
+    if (!_lastWarnings.has(message)) {
+      onWarning(`⚠️ [${name}] ${message}`);
+    }
+    _pendingWarnings.add(message);
+  };
+
   /**
    * Normalizes an SCSS import path to POSIX style and removes leading underscores from partials.
    * For example: "test2\\hello\\_hellotest.scss" becomes "test2/hello/hellotest".
-   * @param {string} relativePath - The relative path of the SCSS file (e.g., "test2/hello/_hellotest.scss")
-   * @returns {string} The normalized import path without leading underscores on partials or .scss extension.
+   * Plain .css files lose their extension too: Sass only loads them as modules when it is omitted.
+   * @param {string} relativePath - The relative path of the source file (e.g., "test2/hello/_hellotest.scss")
+   * @returns {string} The normalized import path without leading underscores on partials or source extension.
    */
   function normalizeImportPath(relativePath) {
     let normalized = relativePath.replace(/\\/g, "/"); // Convert to POSIX style
@@ -98,18 +399,169 @@ function scssImportWatcher(options) {
       base = base.substring(1);
     }
 
-    // Remove .scss extension from the filename part
-    base = base.replace(/\.scss$/, "");
+    // Remove the source extension (.scss, .sass, .css) from the filename part
+    base = base.replace(sourceExtensionPattern, "");
 
     // Recombine the path and ensure it's still POSIX style
     return path.posix.join(dir, base); // Use path.posix for consistent forward slashes
   }
 
-  function generateImports() {
-    log("Generating imports...");
-    _currentGroupedImportsCache = {}; // Clear previous cache
+  /**
+   * Rewrites an import path relative to rootDir into the path written to the styles file,
+   * e.g. "components/button" becomes "../components/button" for "styles/main.scss".
+   * @param {string} rootRelativePath
+   * @returns {string}
+   */
+  function toImportPath(rootRelativePath) {
+    return path.relative(importBaseDir, path.resolve(rootDir, rootRelativePath)).replace(/\\/g, "/");
+  }
+
+  /**
+   * Sass refuses imports that match more than one file (e.g. "_foo.scss" next to "_foo.sass", or "foo.scss"
+   * next to "_foo.scss"). For each such set only the preferred file is imported (first in `extensions`,
+   * partials before non-partials), spelled out with its file name so Sass can resolve it; the others are skipped.
+   * @param {string[]} files - Absolute paths of the discovered files
+   * @returns {{skipped: Set<string>, explicit: Set<string>}}
+   */
+  function resolveImportCollisions(files) {
+    const filesByImportPath = {};
+    files.forEach(file => {
+      const importPath = normalizeImportPath(path.relative(rootDir, file));
+      (filesByImportPath[importPath] = filesByImportPath[importPath] || []).push(file);
+    });
+
+    const skipped = new Set();
+    const explicit = new Set();
+    const extensionRank = (file) => sourceExtensions.indexOf(path.extname(file).toLowerCase());
 
-    const discoveredFiles = []; // Store absolute paths of ALL .scss files
+    for (const importPath in filesByImportPath) {
+      const candidates = filesByImportPath[importPath];
+      if (candidates.length < 2) {
+        continue;
+      }
+
+      candidates.sort((a, b) =>
+          extensionRank(a) - extensionRank(b) ||
+          Number(!path.basename(a).startsWith("_")) - Number(!path.basename(b).startsWith("_")));
+      const [preferred, ...others] = candidates;
+      others.forEach(file => skipped.add(file));
+      // Without its extension a .css file is still ambiguous, but with it Sass would emit a plain CSS @import
+      if (path.extname(preferred).toLowerCase() !== ".css") {
+        explicit.add(preferred);
+      }
+
+      const relative = (file) => path.relative(rootDir, file).replace(/\\/g, "/");
+      warn(`"${importPath}" matches ${candidates.map(relative).join(", ")}. Importing ${relative(preferred)} only; remove or rename the others.`);
+    }
+
+    return { skipped, explicit };
+  }
+
+  // Pinned files: exact paths win over globs, the earlier entry wins among globs
+  function createPinMatcher(patterns = []) {
+    const globMatchers = patterns.map(pattern => picomatch(pattern, { dot: true }));
+    return (orderKey) => {
+      const exactIndex = patterns.indexOf(orderKey);
+      return exactIndex !== -1 ? exactIndex : globMatchers.findIndex(matcher => matcher(orderKey));
+    };
+  }
+  const firstIndexOf = createPinMatcher(order.first);
+  const lastIndexOf = createPinMatcher(order.last);
+
+  // Sorts order keys: pinned "first" files, then the rest (by `order` pragma, then alphabetically unless a position
+  // is given), then pinned "last" files
+  function compareOrderKeys(a, b, positionA = 0, positionB = 0) {
+    const rank = (key) => {
+      const firstIndex = firstIndexOf(key);
+      if (firstIndex !== -1) return [0, firstIndex];
+      const lastIndex = lastIndexOf(key);
+      if (lastIndex !== -1) return [2, lastIndex];
+      return [1, _pragmaOrders[key] || 0]; // `order` pragmas sort the files that are not pinned
+    };
+    const [bucketA, indexA] = rank(a);
+    const [bucketB, indexB] = rank(b);
+    return bucketA - bucketB || indexA - indexB || positionA - positionB || (a < b ? -1 : a > b ? 1 : 0);
+  }
+
+  /**
+   * Orders imports so that files defining variables, mixins, functions and placeholders come before the files
+   * using them: topologically within each group, and groups by the dependencies between them.
+   * Cycles and uses without a definition in this block are reported as warnings.
+   * @param {Object<string, string[]>} importsByGroup - Import paths per group
+   * @param {Object<string, string>} sourceFiles - Absolute file per import path
+   * @returns {{groups: string[], positions: Object<string, number>}} Group order and position of each import path
+   */
+  function orderByDependencies(importsByGroup, sourceFiles) {
+    const symbols = {};
+    const definedBy = {}; // symbol -> import paths
+    for (const importPath in sourceFiles) {
+      let content = "";
+      try {
+        content = fs.readFileSync(sourceFiles[importPath], "utf8");
+      } catch (error) {
+        warn(`Could not read ${sourceFiles[importPath]} for dependency ordering: ${error.message}`);
+      }
+      symbols[importPath] = parseSymbols(content, isIndentedSyntax(sourceFiles[importPath]));
+      symbols[importPath].defines.forEach(symbol => (definedBy[symbol] = definedBy[symbol] || []).push(importPath));
+    }
+
+    const knownFunctions = new Set(Object.keys(definedBy).filter(symbol => symbol.startsWith("@function ")));
+    const dependencies = {};
+    const groupOf = {};
+    for (const group in importsByGroup) {
+      importsByGroup[group].forEach(importPath => (groupOf[importPath] = group));
+    }
+
+    for (const importPath in symbols) {
+      const uses = new Set([...symbols[importPath].uses, ...symbols[importPath].functionUses(knownFunctions)]);
+      const undefinedUses = [...uses].filter(symbol => !definedBy[symbol]);
+      if (undefinedUses.length > 0) {
+        warn(`"${importPath}" uses ${undefinedUses.join(", ")}, not defined by any file in this block.`);
+      }
+      dependencies[importPath] = [...uses].flatMap(symbol => definedBy[symbol] || []);
+    }
+
+    const reportCycles = (cycles, kind) => cycles.forEach(cycle =>
+        warn(`Circular dependency between ${kind}: ${cycle.join(" -> ")}. The alphabetically first one is imported first.`));
+
+    // Groups first: a group depends on every group its files depend on
+    const groupDependencies = {};
+    for (const importPath in dependencies) {
+      const group = groupOf[importPath];
+      groupDependencies[group] = groupDependencies[group] || new Set();
+      dependencies[importPath].forEach(dependency => groupDependencies[group].add(groupOf[dependency]));
+    }
+    const sortedGroups = topologicalSort(Object.keys(importsByGroup), group => groupDependencies[group]);
+    reportCycles(sortedGroups.cycles, "groups");
+
+    const positions = {};
+    let position = 0;
+    for (const group of sortedGroups.order) {
+      const sortedFiles = topologicalSort([...importsByGroup[group]].sort(), importPath => dependencies[importPath]);
+      reportCycles(sortedFiles.cycles, "files");
+      sortedFiles.order.forEach(importPath => (positions[importPath] = position++));
+    }
+
+    return { groups: sortedGroups.order, positions };
+  }
+
+  // Orders group names by `order.groups`; unlisted groups keep their order at the "*" position (or at the end)
+  function orderGroupKeys(groupKeys) {
+    const listedGroups = order.groups || [];
+    const starIndex = listedGroups.includes("*") ? listedGroups.indexOf("*") : listedGroups.length;
+    const before = listedGroups.slice(0, starIndex).filter(group => groupKeys.includes(group));
+    const after = listedGroups.slice(starIndex + 1).filter(group => groupKeys.includes(group));
+    const rest = groupKeys.filter(group => !listedGroups.includes(group));
+    return [...before, ...rest, ...after];
+  }
+
+  /**
+   * Walks watchDir and replaces the index of discovered files.
+   * Called on the first generation, and by the watcher when folders appear or disappear.
+   */
+  function scanFiles() {
+    log("Scanning files...");
+    const discoveredFiles = new Set(); // Absolute paths of ALL files matching the include patterns
 
     function findScssFiles(currentDir) { // Renamed from findScssPartials
       if (!fs.existsSync(currentDir)) {
@@ -123,37 +575,167 @@ function scssImportWatcher(options) {
         const absolutePath = path.join(currentDir, entry.name);
         const relativePathFromRoot = path.relative(rootDir, absolutePath).replace(/\\/g, "/");
 
-        // Skip the main styles file itself to prevent self-importing
-        if (absolutePath === absoluteStylesFilePath) {
+        // Skip the styles files of all watchers to prevent self-importing
+        if (isTargetFile(absolutePath)) {
           continue;
         }
 
         // Check against excludePaths for this specific watcher
-        const isExcludedByThisWatcher = excludePaths.some(excluded => {
-          const absoluteExcludedPath = path.resolve(rootDir, excluded);
-          // Check if it's the exact file or a directory containing the file/folder
-          return absolutePath === absoluteExcludedPath || absolutePath.startsWith(absoluteExcludedPath + path.sep);
-        });
-
-        if (isExcludedByThisWatcher) {
+        if (isExcludedPath(absolutePath)) {
           log(`Excluding ${relativePathFromRoot} (explicitly excluded by this watcher).`);
           continue;
         }
 
+        if (isExcludedByPattern(absolutePath)) {
+          log(`Excluding ${relativePathFromRoot} (matches an exclude pattern).`);
+          continue;
+        }
+
         if (entry.isDirectory()) {
           findScssFiles(absolutePath); // Recursively find files
-        } else if (entry.isFile() && entry.name.endsWith(".scss")) {
-          discoveredFiles.push(absolutePath); // Add all .scss files
+        } else if (entry.isFile() && isIncludedFile(absolutePath)) {
+          discoveredFiles.add(absolutePath); // Add all files matching the include patterns
         }
       }
     }
 
     findScssFiles(absoluteWatchDir);
+    _discoveredFiles = discoveredFiles;
+    _pragmas.clear(); // A rescan also catches pragma changes whose events were missed
+  }
+
+  /**
+   * Pragmas at the top of a partial, e.g. `// scss-import-watcher: ignore` (see lib/pragmas).
+   * @param {string} absolutePath
+   * @returns {{ignore: boolean, order: number|null, group: string|null, invalid: string[]}}
+   */
+  function getPragmas(absolutePath) {
+    if (!_pragmas.has(absolutePath)) {
+      let content = "";
+      try {
+        content = fs.readFileSync(absolutePath, "utf8");
+      } catch (error) {
+        warn(`Could not read ${path.relative(rootDir, absolutePath)} for pragmas: ${error.message}`);
+      }
+      _pragmas.set(absolutePath, parsePragmas(content));
+    }
+    return _pragmas.get(absolutePath);
+  }
+
+  /**
+   * Applies a file event to the index of discovered files, so a single added or removed partial
+   * does not need a new scan. Folder events are not handled here, they need scanFiles().
+   * @param {string} event - chokidar event: "add", "unlink" or "change"
+   * @param {string} absolutePath
+   * @returns {boolean} true if the imports have to be generated again
+   */
+  function updateFileIndex(event, absolutePath) {
+    if (_discoveredFiles === null) {
+      return true; // Nothing scanned yet, the next generation scans anyway
+    }
+    if (event === "add") {
+      if (_discoveredFiles.has(absolutePath) || !isDiscoverableFile(absolutePath)) {
+        return false;
+      }
+      _discoveredFiles.add(absolutePath);
+      _pragmas.delete(absolutePath);
+      return true;
+    }
+    if (event === "unlink") {
+      _pragmas.delete(absolutePath);
+      return _discoveredFiles.delete(absolutePath);
+    }
+    if (event !== "change" || !_discoveredFiles.has(absolutePath)) {
+      return false;
+    }
+    // A content change only matters when it changes the pragmas of the file, or when the order depends on the content
+    const previousPragmas = _pragmas.get(absolutePath);
+    _pragmas.delete(absolutePath);
+    return dependsOnContent || !samePragmas(previousPragmas, getPragmas(absolutePath));
+  }
+
+  // Orders paths like a sorted depth-first walk, so the result does not depend on how files were discovered
+  function compareFilePaths(a, b) {
+    const segmentsA = path.relative(absoluteWatchDir, a).split(path.sep);
+    const segmentsB = path.relative(absoluteWatchDir, b).split(path.sep);
+    for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+      if (segmentsA[i] !== segmentsB[i]) {
+        return segmentsA[i] < segmentsB[i] ? -1 : 1;
+      }
+    }
+    return segmentsA.length - segmentsB.length;
+  }
+
+  /**
+   * Subfolders of watchDir that are imported as a whole with folderImports, because Sass loads their `_index` or
+   * `index` file for the folder path. Folders inside such a folder are left to its index file. A folder is expanded
+   * as usual when a file next to it has the same import path (Sass would load that file instead), when it has both
+   * index files, or when another watcher manages a folder in it.
+   * @param {string[]} files - Absolute paths of the discovered files
+   * @param {Set<string>} ambiguousFiles - Files spelled out with their file name (see resolveImportCollisions())
+   * @param {string[]} reservedDirs - Absolute watch dirs of the watchers below this one
+   * @returns {Map<string, string>} Absolute folder -> its index file
+   */
+  function findFolderIndexes(files, ambiguousFiles, reservedDirs) {
+    const indexes = new Map();
+    files.forEach(file => {
+      const dir = path.dirname(file);
+      const isIndexFile = /^_?index$/.test(path.basename(file).replace(sourceExtensionPattern, ""));
+      if (isIndexFile && dir !== absoluteWatchDir && !ambiguousFiles.has(file) && !indexes.has(dir)) {
+        indexes.set(dir, file);
+      }
+    });
+
+    // Outer folders first: a rejected folder leaves the folders inside it free to be imported through their own index
+    const importPaths = new Set(files.map(file => normalizeImportPath(path.relative(rootDir, file))));
+    const accepted = [];
+    Array.from(indexes.keys()).sort((a, b) => a.split(path.sep).length - b.split(path.sep).length).forEach(dir => {
+      const folderPath = path.relative(rootDir, dir).replace(/\\/g, "/");
+      if (accepted.some(outer => contains(outer, dir)) || reservedDirs.some(reserved => contains(dir, reserved))) {
+        indexes.delete(dir);
+      } else if (importPaths.has(folderPath)) {
+        warn(`"${folderPath}" is also the import path of a file next to the folder, so the folder is expanded instead of imported through its index file.`);
+        indexes.delete(dir);
+      } else {
+        accepted.push(dir);
+      }
+    });
+    return indexes;
+  }
+
+  function generateImports() {
+    log("Generating imports...");
+    _currentGroupedImportsCache = {}; // Clear previous cache
+    _pendingWarnings = new Set();
 
+    if (_discoveredFiles === null) {
+      scanFiles();
+    }
+    // Partials with an `ignore` pragma are left out before anything else, so they cannot collide with others either
+    const discoveredFiles = Array.from(_discoveredFiles).filter(file => !getPragmas(file).ignore).sort(compareFilePaths);
+    _pragmaOrders = {};
+
+    const collisions = resolveImportCollisions(discoveredFiles);
     const importsByGroup = {};
+    const orderKeys = {}; // import path -> path relative to watchDir, used for ordering
+    const sourceFiles = {}; // import path -> absolute file, read for dependency ordering
 
     log(`Watcher "${name}" (watchDir: "${watchDir}") is processing files...`);
 
+    // Watchers below this one's watchDir that write to the same styles file manage their own files.
+    // Watchers are read live (they can change), but only once per generation.
+    const currentWatcherRelativeWatchDir = watchDir.replace(/\\/g, "/");
+    const moreSpecificWatchers = Object.values(allWatchersConfigs).filter(otherWatcherConfig =>
+        otherWatcherConfig.name !== name && otherWatcherConfig.watchDir
+        && getTargetFile(otherWatcherConfig) === absoluteStylesFilePath
+        && otherWatcherConfig.watchDir.replace(/\\/g, "/").startsWith(currentWatcherRelativeWatchDir + '/'));
+
+    // With folderImports, folders with an index file are imported once, as the folder
+    const folderIndexes = folderImports
+        ? findFolderIndexes(discoveredFiles.filter(file => !collisions.skipped.has(file)), collisions.explicit,
+            moreSpecificWatchers.map(otherWatcherConfig => path.resolve(rootDir, otherWatcherConfig.watchDir)))
+        : new Map();
+
     discoveredFiles.forEach((absoluteFilePath) => {
       const relativeFilePath = path.relative(rootDir, absoluteFilePath).replace(/\\/g, "/");
       const fileName = path.basename(absoluteFilePath);
@@ -161,14 +743,26 @@ function scssImportWatcher(options) {
 
       log(`  - Considering file: ${relativeFilePath}`);
 
+      if (collisions.skipped.has(absoluteFilePath)) {
+        log(`    Skipping ${relativeFilePath}, another file resolves to the same import path.`);
+        return;
+      }
+
       let importStatementPath;
       // Note: The `isPartial` check here is still needed for the initial import path determination,
       // but `normalizeImportPath` will handle removing the underscore for the final output path.
       let isPartial = fileName.startsWith("_");
+      const indexFolder = Array.from(folderIndexes.keys()).find(dir => contains(dir, absoluteFilePath));
 
-      if (isPartial) {
+      if (indexFolder) {
+        if (folderIndexes.get(indexFolder) !== absoluteFilePath) {
+          log(`    Skipping ${relativeFilePath}, the index file of its folder imports it.`);
+          return;
+        }
+        importStatementPath = path.relative(rootDir, indexFolder).replace(/\\/g, "/");
+      } else if (isPartial) {
         importStatementPath = normalizeImportPath(relativeFilePath);
-      } else if (fileName === 'index.scss') {
+      } else if (fileName.replace(sourceExtensionPattern, "") === 'index') {
         // If index.scss is in the current watcher's watchDir itself, or a sub-directory
         // We use the normalized dirName as the import path.
         if (dirName === watchDir.replace(/\\/g, "/") || dirName.startsWith(watchDir.replace(/\\/g, "/") + '/')) {
@@ -185,47 +779,19 @@ function scssImportWatcher(options) {
         log(`    Could not determine import path for ${relativeFilePath}. Skipping.`);
         return;
       }
+      const stemImportPath = importStatementPath; // Sorted and grouped by, also for colliding files
+      if (collisions.explicit.has(absoluteFilePath)) {
+        // Keep underscore and extension so Sass knows which of the colliding files is meant
+        importStatementPath = path.posix.join(path.posix.dirname(importStatementPath), fileName);
+      }
       log(`    Determined import path: "${importStatementPath}" (Is Partial: ${isPartial})`);
 
 
       // --- isManagedByMoreSpecificWatcher logic ---
-      let isManagedByMoreSpecificWatcher = false;
-      // Only check if there are other watchers configured
-      if (Object.keys(allWatchersConfigs).length > 1) {
-        for (const otherWatcherName in allWatchersConfigs) {
-          const otherWatcherConfig = allWatchersConfigs[otherWatcherName];
-
-          // Skip self or invalid configs (no watchDir)
-          if (otherWatcherConfig.name === name || !otherWatcherConfig.watchDir) {
-            continue;
-          }
-
-          const otherWatcherRelativeWatchDir = otherWatcherConfig.watchDir.replace(/\\/g, "/");
-          const currentWatcherRelativeWatchDir = watchDir.replace(/\\/g, "/");
-
-          // Check 1: Is the other watcher's directory a direct sub-directory of *this* watcher's directory?
-          // This makes sure we only consider child watchers, not sibling or parent watchers.
-          const isOtherWatcherDescendant = otherWatcherRelativeWatchDir.startsWith(currentWatcherRelativeWatchDir + '/');
-
-          // Check 2: Is the current file being processed located within that more specific watcher's directory?
-          const isFileWithinOtherWatcherScope = relativeFilePath.startsWith(otherWatcherRelativeWatchDir + '/');
-
-
-          // log(`    - Comparing with other watcher "${otherWatcherConfig.name}" (watchDir: "${otherWatcherRelativeWatchDir}")`);
-          // log(`      - Is "${otherWatcherConfig.name}" a descendant of "${name}"? ${isOtherWatcherDescendant}`);
-          // log(`      - Is file "${relativeFilePath}" within "${otherWatcherRelativeWatchDir}" scope? ${isFileWithinOtherWatcherScope}`);
-
-
-          if (isOtherWatcherDescendant && isFileWithinOtherWatcherScope) {
-            isManagedByMoreSpecificWatcher = true;
-            log(`    Skipping ${relativeFilePath} for watcher "${name}" because it's handled by more specific watcher "${otherWatcherConfig.name}" (${otherWatcherRelativeWatchDir}).`);
-            break; // No need to check other watchers, this file is managed elsewhere
-          }
-        }
-      }
-
-
-      if (isManagedByMoreSpecificWatcher) {
+      const moreSpecificWatcher = moreSpecificWatchers.find(otherWatcherConfig =>
+          relativeFilePath.startsWith(otherWatcherConfig.watchDir.replace(/\\/g, "/") + '/'));
+      if (moreSpecificWatcher) {
+        log(`    Skipping ${relativeFilePath} for watcher "${name}" because it's handled by more specific watcher "${moreSpecificWatcher.name}" (${moreSpecificWatcher.watchDir}).`);
         return; // This file (partial or non-partial) is handled by a more specific watcher.
       }
       log(`    File ${relativeFilePath} will be included by watcher "${name}".`);
@@ -239,208 +805,1197 @@ function scssImportWatcher(options) {
 
       // Determine the part of the import path that comes after the current watcher's watchDir.
       // This is used to logically group imports within the current watcher's block.
-      if (importStatementPath.startsWith(watchDirSlash)) {
-        pathAfterWatchDir = importStatementPath.substring(watchDirSlash.length);
-      } else if (importStatementPath === normalizedWatchDir) {
+      if (stemImportPath.startsWith(watchDirSlash)) {
+        pathAfterWatchDir = stemImportPath.substring(watchDirSlash.length);
+      } else if (stemImportPath === normalizedWatchDir) {
         // If the import path is the same as the watchDir (e.g., "@import "test2";" from "test2/index.scss" watched by "test2")
         pathAfterWatchDir = '';
       } else {
         // Fallback for cases where importStatementPath is not directly nested under watchDir,
         // or if watchDir is "." and importStatementPath is "somefolder/file".
         // In a well-configured system, this branch might indicate an issue or a root-level file.
-        pathAfterWatchDir = importStatementPath;
+        pathAfterWatchDir = stemImportPath;
       }
 
-      if (pathAfterWatchDir.includes('/')) {
-        // If there's a subdirectory in the path after watchDir, the group key is the first subdirectory name.
-        groupKey = pathAfterWatchDir.split('/')[0];
+      // A folder import stays in the group of its folder, like the files it stands for
+      const groupingPath = indexFolder ? `${pathAfterWatchDir}/index` : pathAfterWatchDir;
+      if (grouping === 'none') {
+        groupKey = ''; // One group without a header
+      } else if (groupingPath.includes('/')) {
+        // If there's a subdirectory in the path after watchDir, the group key is the first subdirectory name
+        // ("folder"), or the whole directory path ("path" and "nested").
+        groupKey = grouping === 'folder' ? groupingPath.split('/')[0] : path.posix.dirname(groupingPath);
       } else {
         // If it's a direct file/folder import in the watchDir (e.g., "_base.scss")
         // then it belongs to the "base" group.
         groupKey = 'base'; // Set to 'base' for files directly in the watchDir
       }
+
+      // Pragmas in the partial itself: `group <name>` moves it to another group, `order <n>` sorts it within its group
+      const pragmas = getPragmas(absoluteFilePath);
+      pragmas.invalid.forEach(pragma =>
+          warn(`${relativeFilePath} has an unknown pragma "${PRAGMA_PREFIX} ${pragma}" (expected ignore, order <number> or group <name>).`));
+      if (pragmas.group !== null && grouping !== 'none') {
+        groupKey = pragmas.group;
+      }
       log(`    Group Key: "${groupKey}"`);
 
 
       if (!importsByGroup[groupKey]) {
         importsByGroup[groupKey] = [];
       }
-      importsByGroup[groupKey].push(`@import "${importStatementPath}";`);
+      // Grouping works on the root-relative path, the rule gets the path Sass resolves from the styles file
+      const resolvedImportPath = toImportPath(importStatementPath);
+      if (loadPath && resolvedImportPath.startsWith("../")) {
+        warn(`${relativeFilePath} is outside the load path "${loadPath}", Sass will not find "${resolvedImportPath}".`);
+      }
+      importsByGroup[groupKey].push(resolvedImportPath);
+      orderKeys[resolvedImportPath] = pathAfterWatchDir || ".";
+      if (pragmas.order !== null) {
+        _pragmaOrders[orderKeys[resolvedImportPath]] = pragmas.order;
+      }
+      sourceFiles[resolvedImportPath] = absoluteFilePath;
     });
 
-    // Sort imports within each group alphabetically
+    // Sort imports within each group (alphabetically or by dependencies, unless pinned) and the groups themselves
     for (const group in importsByGroup) {
-      importsByGroup[group].sort();
+      importsByGroup[group].sort((a, b) => compareOrderKeys(orderKeys[a], orderKeys[b]));
+    }
+    let groupKeys = Object.keys(importsByGroup);
+    if (grouping === "nested") {
+      // Sub-folder groups directly follow their parent folder's group; folders keep their first appearance order
+      const firstAppearance = {};
+      groupKeys.forEach((groupKey, index) => {
+        const segments = groupKey.split("/");
+        segments.forEach((_, level) => {
+          const prefix = segments.slice(0, level + 1).join("/");
+          if (!(prefix in firstAppearance)) firstAppearance[prefix] = index;
+        });
+      });
+      groupKeys.sort((a, b) => {
+        const segmentsA = a.split("/");
+        const segmentsB = b.split("/");
+        for (let level = 0; level < Math.min(segmentsA.length, segmentsB.length); level++) {
+          if (segmentsA[level] !== segmentsB[level]) {
+            return firstAppearance[segmentsA.slice(0, level + 1).join("/")] - firstAppearance[segmentsB.slice(0, level + 1).join("/")];
+          }
+        }
+        return segmentsA.length - segmentsB.length;
+      });
+    }
+    if (orderMode === "dependencies") {
+      const { groups, positions } = orderByDependencies(importsByGroup, sourceFiles);
+      groupKeys = groups;
+      for (const group in importsByGroup) {
+        importsByGroup[group].sort((a, b) => compareOrderKeys(orderKeys[a], orderKeys[b], positions[a], positions[b]));
+      }
+    }
+    const orderedGroups = {};
+    orderGroupKeys(groupKeys).forEach(group => {
+      orderedGroups[group] = importsByGroup[group];
+    });
+    _currentImportOrder = Object.keys(orderedGroups).map(group => ({
+      group,
+      files: orderedGroups[group].map(importPath => orderKeys[importPath]),
+    }));
+
+    // Namespaces have to be resolved across the whole block so duplicates can be detected
+    const allImportPaths = [].concat(...Object.values(orderedGroups));
+    const namespaces = resolveNamespaces(allImportPaths, orderKeys);
+
+    for (const group in orderedGroups) {
+      if (combine) {
+        // One @import per group; the paths are spelled like single rules
+        const quote = QUOTES[quotes];
+        const importList = orderedGroups[group].map(importPath => `${quote}${spellImportPath(importPath, sourceFiles[importPath])}${quote}`);
+        orderedGroups[group] = [`@import ${importList.join(", ")}${indented ? "" : ";"}`];
+      } else {
+        orderedGroups[group] = orderedGroups[group].map(importPath => formatRule(importPath, namespaces[importPath], sourceFiles[importPath], withConfig[orderKeys[importPath]]));
+      }
     }
 
-    _currentGroupedImportsCache = importsByGroup;
+    _currentGroupedImportsCache = orderedGroups;
+    _lastWarnings = _pendingWarnings;
   }
 
-  function updateStylesFile(force = false) {
-    if (!fs.existsSync(absoluteStylesFilePath)) {
-      log(`Target styles file not found: ${absoluteStylesFilePath}`);
-      return;
+  /**
+   * Works out the `@use` namespace for every import path according to the `namespace` option.
+   * With "auto", the Sass default (file name) is kept unless two files share it, in which case
+   * the folders of the path are prefixed (e.g. "forms/button" -> "forms-button").
+   * A namespace map is keyed by the path relative to watchDir, like `order`, so it does not depend on where the
+   * styles file is.
+   * @param {string[]} importPaths
+   * @param {Object<string, string>} keys - Path relative to watchDir per import path
+   * @returns {Object<string, string|null>} Namespace per import path, null when no `as` clause is needed.
+   * @throws {Error} When a fixed namespace (without "{name}") would be given to more than one rule
+   */
+  function resolveNamespaces(importPaths, keys) {
+    const namespaces = {};
+    if (outputMode !== "use") {
+      return namespaces;
+    }
+    // A fixed namespace fits one rule only, Sass rejects a second @use with the same one
+    const fixedNamespace = typeof namespace === "string" && !["auto", "*"].includes(namespace) && !namespace.includes("{name}");
+    if (fixedNamespace && importPaths.length > 1) {
+      throw new Error(`Namespace "${namespace}" would be used by all ${importPaths.length} @use rules of "${effectiveMarkerId}". Use "auto", "*", a template containing "{name}" or a map of import paths.`);
     }
 
-    let content = fs.readFileSync(absoluteStylesFilePath, "utf8");
-    const lines = content.split('\n');
+    const defaultCounts = {};
+    importPaths.forEach(importPath => {
+      const defaultNamespace = getDefaultNamespace(importPath);
+      defaultCounts[defaultNamespace] = (defaultCounts[defaultNamespace] || 0) + 1;
+    });
+
+    importPaths.forEach(importPath => {
+      const defaultNamespace = getDefaultNamespace(importPath);
+      let resolved;
 
-    // Create the full import block from the cache
+      if (namespace && typeof namespace === "object") {
+        resolved = namespace[keys[importPath]];
+      } else if (namespace === "*") {
+        resolved = "*";
+      } else if (namespace && namespace !== "auto") {
+        resolved = namespace.replace(/\{name\}/g, defaultNamespace);
+      }
+
+      if (!resolved && defaultCounts[defaultNamespace] > 1) {
+        // Auto namespace: prefix with the folders to keep namespaces unique within the block
+        resolved = importPath.replace(/^(\.\.\/)+/, "").split("/").join("-").replace(/[^\w-]/g, "-");
+      }
+
+      namespaces[importPath] = resolved && resolved !== defaultNamespace ? resolved : null;
+    });
+
+    return namespaces;
+  }
+
+  /**
+   * Spells an import path the way keepUnderscore and keepExtension ask for, e.g. "abstracts/_colors.scss".
+   * Paths of colliding files already carry their file name and stay as they are.
+   * @param {string} importPath - Normalized import path (e.g., "abstracts/colors")
+   * @param {string} [sourceFile] - Absolute path of the imported file
+   * @returns {string}
+   */
+  function spellImportPath(importPath, sourceFile) {
+    const fileName = sourceFile ? path.basename(sourceFile) : null;
+    if (!fileName || path.posix.basename(importPath) === fileName) {
+      return importPath;
+    }
+    const extension = path.extname(fileName);
+    if (folderImports && /^_?index$/.test(path.basename(fileName, extension)) && path.posix.basename(importPath) !== "index") {
+      return importPath; // A folder import, Sass finds the index file itself
+    }
+    let base = path.posix.basename(importPath);
+    if (keepUnderscore && fileName.startsWith("_")) base = `_${base}`;
+    if (keepExtension && extension.toLowerCase() !== ".css") base += extension;
+    const dir = path.posix.dirname(importPath);
+    return dir === "." ? base : `${dir}/${base}`;
+  }
+
+  /**
+   * Builds the rule line for a single import path according to `outputMode`.
+   * @param {string} importPath - Normalized import path (e.g., "components/button")
+   * @param {string|null} ruleNamespace - Namespace for `@use`, or null for the Sass default
+   * @param {string} [sourceFile] - Absolute path of the imported file, for keepUnderscore and keepExtension
+   * @param {Object} [configuration] - `with (...)` variables of the file (its withConfig entry)
+   * @returns {string} e.g. `@use "abstracts/variables" as vars with ($primary: #333);`
+   */
+  function formatRule(importPath, ruleNamespace, sourceFile, configuration) {
+    const quote = QUOTES[quotes];
+    let rule = `@${outputMode} ${quote}${spellImportPath(importPath, sourceFile)}${quote}`;
+
+    if (outputMode === "use" && ruleNamespace) {
+      rule += ` as ${ruleNamespace}`;
+    }
+
+    if (outputMode !== "import" && configuration && Object.keys(configuration).length > 0) {
+      const pairs = Object.keys(configuration).map(variable => `$${variable.replace(/^\$/, "")}: ${configuration[variable]}`);
+      rule += ` with (${pairs.join(", ")})`;
+    }
+
+    // The indented syntax has no semicolons
+    return indented ? rule : `${rule};`;
+  }
+
+  // Header line of a group, or null when headers are disabled
+  function formatGroupHeader(label, depth = 0) {
+    if (grouping === "none" || groupHeader === "") {
+      return null;
+    }
+    const header = groupHeader === undefined ? formatComment(label, indented) : groupHeader.replace(/\{group\}/g, label);
+    if (indented) {
+      // Indentation is syntax in .sass files, so nested levels are indented inside the comment text
+      return header.replace(/^(\/\/|\/\*)\s?/, `$1 ${"  ".repeat(depth)}`);
+    }
+    return "  ".repeat(depth) + header;
+  }
+
+  // Create the full import block (without markers) from the cache
+  function renderBlockLines() {
     const newImports = [];
-    for (const groupKey in _currentGroupedImportsCache) {
-      newImports.push(`/* ${groupKey} */`);
-      newImports.push(..._currentGroupedImportsCache[groupKey]);
+    let previousSegments = [];
+    Object.keys(_currentGroupedImportsCache).forEach((groupKey, groupIndex) => {
+      if (groupIndex > 0) {
+        for (let i = 0; i < groupSpacing; i++) newImports.push("");
+      }
+
+      let depth = 0;
+      if (grouping === "nested") {
+        // Headers for every folder level that the previous group did not open yet
+        const segments = groupKey.split("/");
+        let shared = 0;
+        while (shared < segments.length - 1 && previousSegments[shared] === segments[shared]) shared++;
+        for (let level = shared; level < segments.length; level++) {
+          const header = formatGroupHeader(segments[level], level);
+          if (header !== null) newImports.push(header);
+        }
+        previousSegments = segments;
+        depth = segments.length - 1;
+      } else {
+        const header = formatGroupHeader(groupKey);
+        if (header !== null) newImports.push(header);
+      }
+
+      const ruleIndent = indented || groupHeader === "" ? "" : "  ".repeat(depth);
+      newImports.push(..._currentGroupedImportsCache[groupKey].map(rule => ruleIndent + rule));
+    });
+    return newImports;
+  }
+
+  /**
+   * Locates this watcher's marker pair in the given lines.
+   * @param {string[]} lines
+   * @returns {{startIndex: number, endIndex: number}} -1 for markers that were not found
+   */
+  // Throws a MarkerIntegrityError when the markers do not form at most one well-formed block
+  function findMarkers(lines) {
+    const { blocks, problems } = validateMarkers(lines, markers, getOtherMarkers());
+    if (problems.length > 0) {
+      throw new MarkerIntegrityError(effectiveMarkerId, absoluteStylesFilePath, problems);
+    }
+    return blocks[0] || { startIndex: -1, endIndex: -1 };
+  }
+
+  // Markers of the other watchers writing to the same styles file, to recognize blocks nested in this one
+  function getOtherMarkers() {
+    return Object.entries(allWatchersConfigs)
+        .filter(([otherName, config]) => otherName !== name && getTargetFile(config) === absoluteStylesFilePath)
+        .map(([otherName, config]) => createMarkers(config.markerId || otherName, indented, config.markerTemplate || markerTemplate));
+  }
+
+  // Moves an insert position that falls inside another watcher's block below that block's end marker
+  function skipOtherBlocks(lines, index) {
+    const otherMarkers = getOtherMarkers();
+    const isOtherStart = (text) => otherMarkers.some(other => other.isStart(text));
+    const isOtherEnd = (text) => otherMarkers.some(other => other.isEnd(text));
+    const insideOtherBlock = lines.slice(0, index).reduce((open, text) => isOtherStart(text) || (open && !isOtherEnd(text)), false);
+    if (!insideOtherBlock) {
+      return index;
+    }
+    const otherEndIndex = lines.findIndex((text, i) => i >= index && isOtherEnd(text));
+    return otherEndIndex === -1 ? lines.length : otherEndIndex + 1;
+  }
+
+  /**
+   * Index a new block is inserted at, according to placement. An anchor that is not in the file falls back to `line`
+   * with a warning.
+   * @param {string[]} lines - Content of the styles file without this watcher's block
+   * @returns {number}
+   */
+  function findInsertIndex(lines) {
+    const atLine = () => Math.min(Math.max(0, (line || 1) - 1), lines.length);
+    let index = null;
+    if (placement === "line") {
+      index = atLine();
+    } else if (placement === "top") {
+      // @charset has to stay the first statement of the file
+      index = 0;
+      while (index < lines.length && /^\s*@charset\b/.test(lines[index])) index++;
+    } else if (placement === "bottom") {
+      // Above the empty last line a trailing newline leaves, so the file keeps ending with one
+      index = lines.length > 0 && lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+    } else if (anchorPattern) {
+      const anchorIndex = lines.findIndex(text => anchorPattern.test(text));
+      if (anchorIndex !== -1) {
+        index = placement === "afterPattern" ? anchorIndex + 1 : anchorIndex;
+      } else {
+        warn(`No line in ${path.basename(absoluteStylesFilePath)} matches /${anchor}/, the block is inserted at line ${line || 1} instead.`);
+      }
+    } else {
+      const config = anchor !== name ? allWatchersConfigs[anchor] : null;
+      const anchorMarkers = config && getTargetFile(config) === absoluteStylesFilePath
+          ? createMarkers(config.markerId || anchor, indented, config.markerTemplate || markerTemplate)
+          : null;
+      const { blocks, problems } = anchorMarkers ? validateMarkers(lines, anchorMarkers) : { blocks: [], problems: [] };
+      if (blocks.length > 0 && problems.length === 0) {
+        index = placement === "afterBlock" ? blocks[0].endIndex + 1 : blocks[0].startIndex;
+      } else {
+        warn(`The block of watcher "${anchor}" is not in ${path.basename(absoluteStylesFilePath)}, the block is inserted at line ${line || 1} instead.`);
+      }
+    }
+    return skipOtherBlocks(lines, index === null ? atLine() : index);
+  }
+
+  /**
+   * Problems with this watcher's markers in the styles file (see validateMarkers() in lib/markers).
+   * @param {string} [content] - Defaults to the content of the styles file
+   * @returns {Array<{type: string, line: number, message: string}>} Empty when the markers are fine or the file is missing
+   */
+  function getMarkerProblems(content) {
+    if (content === undefined) {
+      if (!fs.existsSync(absoluteStylesFilePath)) {
+        return [];
+      }
+      content = readStylesFile(absoluteStylesFilePath);
     }
-    const newImportsBlock = newImports.join('\n');
+    return validateMarkers(content.split('\n'), markers, getOtherMarkers()).problems;
+  }
 
-    const startMarker = `/* ${effectiveMarkerId} import start */`;
-    const endMarker = `/* ${effectiveMarkerId} import end */`;
+  /**
+   * Merges broken markers of this watcher back into one empty, well-formed pair where the first of them was.
+   * Generated rules and group headers next to an orphaned marker are dropped with it (the block is generated
+   * again anyway); blocks of other watchers found inside are kept right after the pair.
+   * @param {string} content
+   * @returns {string} The content unchanged when the markers are fine
+   */
+  function mergeMarkers(content) {
+    const lines = content.split('\n');
+    const otherMarkers = getOtherMarkers();
+    const { blocks, problems } = validateMarkers(lines, markers, otherMarkers);
+    if (problems.length === 0) {
+      return content;
+    }
 
-    let startIndex = -1;
-    let endIndex = -1;
+    const isOtherStart = (text) => otherMarkers.some(other => other.isStart(text));
+    const isOtherEnd = (text) => otherMarkers.some(other => other.isEnd(text));
+    const isMarker = (text) => markers.isStart(text) || markers.isEnd(text) || isOtherStart(text) || isOtherEnd(text);
+    const isGenerated = (text) => !isMarker(text) && (getImportPathFromLine(text) !== null || getCommentText(text) !== null);
+    // Last generated line next to an orphaned marker (blank lines in between are fine), walking in direction step
+    const extend = (from, step) => {
+      let last = from;
+      for (let index = from + step; index >= 0 && index < lines.length; index += step) {
+        if (isGenerated(lines[index])) {
+          last = index;
+        } else if (lines[index].trim() !== '') {
+          break;
+        }
+      }
+      return last;
+    };
+
+    const ranges = blocks.map(block => [block.startIndex, block.endIndex]);
+    const inRanges = (index) => ranges.some(([from, to]) => index >= from && index <= to);
+    lines.forEach((text, index) => {
+      if (inRanges(index)) return;
+      if (markers.isStart(text)) ranges.push([index, extend(index, 1)]);
+      else if (markers.isEnd(text)) ranges.push([extend(index, -1), index]);
+    });
 
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].trim() === startMarker) {
-        startIndex = i;
-      } else if (lines[i].trim() === endMarker) {
-        endIndex = i;
-        break; // Found the end marker after a start marker
+    const result = [];
+    const keptBlocks = [];
+    let insertIndex = -1;
+    let insideOtherBlock = false;
+    lines.forEach((text, index) => {
+      if (!inRanges(index)) {
+        result.push(text);
+        return;
       }
+      if (insertIndex === -1) insertIndex = result.length;
+      if (isOtherStart(text)) insideOtherBlock = true;
+      if (insideOtherBlock) keptBlocks.push(text);
+      if (isOtherEnd(text)) insideOtherBlock = false;
+    });
+
+    // The pair must not end up inside another watcher's block either
+    insertIndex = skipOtherBlocks(result, insertIndex);
+
+    result.splice(insertIndex, 0, markers.start, markers.end, ...keptBlocks);
+    log(`Repaired markers for "${effectiveMarkerId}": ${problems.map(problem => problem.message).join("; ")}.`);
+    return result.join('\n');
+  }
+
+  // With repairMarkers, broken markers are merged before a block is written or removed; otherwise findMarkers() refuses
+  function withRepairedMarkers(content) {
+    return repairMarkers ? mergeMarkers(content) : content;
+  }
+
+  /**
+   * Lines edited by hand in this watcher's block since it was last written (see findManualEdits() in lib/blockState).
+   * @returns {{added: string[], removed: string[]}|null} null when the block is unchanged, missing or ambiguous
+   */
+  function getManualEdits() {
+    if (!fs.existsSync(absoluteStylesFilePath)) {
+      return null;
+    }
+    const lines = readStylesFile(absoluteStylesFilePath).split('\n');
+    const { blocks, problems } = validateMarkers(lines, markers, getOtherMarkers());
+    if (problems.length > 0 || blocks.length === 0) {
+      return null;
+    }
+    const blockState = getBlockState(rootDir, absoluteStylesFilePath, effectiveMarkerId);
+    return findManualEdits(blockState, lines.slice(blocks[0].startIndex + 1, blocks[0].endIndex));
+  }
+
+  /**
+   * Decides what the next write does with the manual edits of a block whose manualEdits policy is "ask".
+   * @param {"keep"|"overwrite"} decision
+   */
+  function resolveManualEdits(decision) {
+    if (!["keep", "overwrite"].includes(decision)) {
+      throw new Error(`Manual edits can only be kept or overwritten, got "${decision}".`);
     }
+    _manualEditsDecision = decision;
+  }
+
+  // Drops what was recorded about the block, including its pinned lines (when the watcher is deleted)
+  function forgetBlock() {
+    setBlockState(rootDir, absoluteStylesFilePath, effectiveMarkerId, null);
+  }
+
+  // Lines kept from manual edits, rendered at the end of the block (the ones of a block applied but not written yet first)
+  function getPinnedLines() {
+    if (_pendingBlockState) {
+      return _pendingBlockState.pinned;
+    }
+    const blockState = getBlockState(rootDir, absoluteStylesFilePath, effectiveMarkerId);
+    return blockState ? blockState.pinned : [];
+  }
+
+  /**
+   * Pinned lines for the next block: the ones kept so far, minus the ones removed by hand, plus the lines added by hand
+   * when the policy keeps them.
+   * @param {string[]|null} currentBlockLines - Lines between the markers on disk, null when there is no block (or it was just repaired)
+   * @returns {{pinned: string[], edits: Object|null, policy: string|null}}
+   */
+  function resolvePinnedLines(currentBlockLines) {
+    const blockState = getBlockState(rootDir, absoluteStylesFilePath, effectiveMarkerId);
+    const pinned = blockState ? blockState.pinned : [];
+    const edits = currentBlockLines && findManualEdits(blockState, currentBlockLines);
+    if (!edits) {
+      return { pinned, edits: null, policy: null };
+    }
+
+    const policy = manualEdits === "ask" ? _manualEditsDecision : manualEdits;
+    if (!policy) {
+      throw new ManualEditsError(effectiveMarkerId, absoluteStylesFilePath, edits);
+    }
+    const stillPinned = pinned.filter(line => !edits.removed.includes(line));
+    const added = edits.added.filter(line => line !== pinnedHeader && !stillPinned.includes(line));
+    return { pinned: policy === "keep" ? [...stillPinned, ...added] : stillPinned, edits, policy };
+  }
+
+  // Pinned lines below a header comment, leaving out the ones the block generates anyway
+  function renderPinnedLines(pinned, generatedLines) {
+    const generated = generatedLines.map(generatedLine => generatedLine.trim());
+    const extras = pinned.filter(pinnedLine => !generated.includes(pinnedLine));
+    return extras.length > 0 ? [pinnedHeader, ...extras] : [];
+  }
+
+  /**
+   * Remembers what is between this watcher's markers after a write (see lib/blockState), so later manual edits are
+   * noticed, and reports the manual edits the write handled. When the block was removed, its pinned lines are kept
+   * for the next time it is inserted (forgetBlock() drops them).
+   * @param {string} content - Content of the styles file after the update
+   */
+  function recordBlock(content) {
+    const lines = content.split('\n');
+    const { blocks, problems } = validateMarkers(lines, markers, getOtherMarkers());
+    if (problems.length > 0 || blocks.length === 0 || !_pendingBlockState) {
+      return; // Nothing reliable to record, or the block on disk was not written by this generator
+    }
+
+    const { pinned, edits, policy } = _pendingBlockState;
+    if (edits) {
+      const summary = `+${edits.added.length} -${edits.removed.length} line(s)`;
+      onWarning(policy === "keep"
+          ? `⚠️ Block "${effectiveMarkerId}" in ${path.basename(absoluteStylesFilePath)} was edited by hand (${summary}); added lines are kept as pinned lines.`
+          : `⚠️ Block "${effectiveMarkerId}" in ${path.basename(absoluteStylesFilePath)} was edited by hand (${summary}); the edits were overwritten.`);
+    }
+    const blockLines = lines.slice(blocks[0].startIndex + 1, blocks[0].endIndex);
+    setBlockState(rootDir, absoluteStylesFilePath, effectiveMarkerId, {
+      hash: hashLines(blockLines),
+      lines: blockLines.map(blockLine => blockLine.trim()).filter(Boolean),
+      pinned,
+    });
+    _pendingBlockState = null;
+    _manualEditsDecision = null;
+  }
+
+  /**
+   * Takes the block in content as what was last written to it, e.g. after an older version of the styles file was put
+   * back, so the restored lines are not seen as edited by hand. Lines below the pinned header become the pinned lines.
+   * Nothing is recorded when the content has no (well-formed) block for this watcher.
+   * @param {string} content - Content of the styles file
+   */
+  function adoptBlock(content) {
+    const lines = content.split('\n');
+    const { blocks, problems } = validateMarkers(lines, markers, getOtherMarkers());
+    if (problems.length > 0 || blocks.length === 0) {
+      return;
+    }
+    const blockLines = lines.slice(blocks[0].startIndex + 1, blocks[0].endIndex);
+    const trimmedLines = blockLines.map(blockLine => blockLine.trim()).filter(Boolean);
+    const headerIndex = trimmedLines.indexOf(pinnedHeader.trim());
+    setBlockState(rootDir, absoluteStylesFilePath, effectiveMarkerId, {
+      hash: hashLines(blockLines),
+      lines: trimmedLines,
+      pinned: headerIndex === -1 ? [] : trimmedLines.slice(headerIndex + 1),
+    });
+  }
+
+  /**
+   * Reads the lines currently between this watcher's markers in the styles file.
+   * @returns {string[]|null} The block lines, or null if the file or the markers do not exist.
+   * @throws {MarkerIntegrityError} When the markers are ambiguous
+   */
+  function readCurrentBlock() {
+    if (!fs.existsSync(absoluteStylesFilePath)) {
+      return null;
+    }
+    const lines = readStylesFile(absoluteStylesFilePath).split('\n');
+    const { startIndex, endIndex } = findMarkers(lines);
+    if (startIndex === -1 || endIndex === -1) {
+      return null;
+    }
+    return lines.slice(startIndex + 1, endIndex);
+  }
+
+  /**
+   * Puts the cached block into the content of the styles file, replacing the existing block
+   * or inserting a new one. Several watchers of one styles file can apply their blocks in turn.
+   * @param {string} content
+   * @returns {string} The new content
+   * @throws {MarkerIntegrityError} When the markers are ambiguous and repairMarkers is off
+   * @throws {ManualEditsError} When the block was edited by hand, manualEdits is "ask" and nobody decided yet
+   */
+  function applyBlock(content) {
+    const repairedContent = withRepairedMarkers(content);
+    const lines = repairedContent.split('\n');
+    _pendingBlockState = null;
+
+    const { startIndex, endIndex } = findMarkers(lines);
+
+    const generatedLines = renderBlockLines();
+    // A repaired pair starts out empty, which is not a manual edit: the pinned lines are kept as they were
+    const repaired = repairedContent !== content;
+    const currentBlockLines = !repaired && startIndex !== -1 && endIndex !== -1 ? lines.slice(startIndex + 1, endIndex) : null;
+    const pinnedState = resolvePinnedLines(currentBlockLines);
+    const newImportsBlock = [...generatedLines, ...renderPinnedLines(pinnedState.pinned, generatedLines)].join('\n');
 
     let newContentLines = [...lines]; // Create a copy to modify
+    // Sass rejects @use/@forward after other rules, so module blocks are hoisted above them
+    const mustHoist = outputMode !== "import";
 
     if (startIndex !== -1 && endIndex !== -1) {
       // Marker block exists, replace it
       newContentLines.splice(startIndex + 1, endIndex - startIndex - 1, newImportsBlock);
       log(`Updated existing import block for "${effectiveMarkerId}".`);
+
+      if (mustHoist) {
+        const linesWithoutBlock = [...newContentLines];
+        const blockLines = linesWithoutBlock.splice(startIndex, 3);
+        const hoistIndex = findFirstNonModuleRuleIndex(linesWithoutBlock, indented);
+        if (hoistIndex < startIndex) {
+          linesWithoutBlock.splice(hoistIndex, 0, ...blockLines);
+          newContentLines = linesWithoutBlock;
+          log(`Moved import block for "${effectiveMarkerId}" above the first non-module rule.`);
+        }
+      }
     } else {
       // Marker block does not exist, insert it
-      const insertLineIndex = Math.min(Math.max(0, line - 1), lines.length); // Ensure valid line number
+      let insertLineIndex = findInsertIndex(lines);
+      if (mustHoist) {
+        insertLineIndex = Math.min(insertLineIndex, findFirstNonModuleRuleIndex(lines, indented));
+      }
 
-      newContentLines.splice(insertLineIndex, 0, startMarker, newImportsBlock, endMarker);
+      newContentLines.splice(insertLineIndex, 0, markers.start, newImportsBlock, markers.end);
       log(`Inserted new import block for "${effectiveMarkerId}".`);
     }
 
-    const finalContent = newContentLines.join('\n').replace(/\n{3,}/g, '\n\n'); // Normalize multiple newlines
+    // Lines outside the block stay as they are, blank ones included
+    _pendingBlockState = pinnedState;
+    return newContentLines.join('\n');
+  }
+
+  /**
+   * Writes the cached block into the styles file (queued behind other writes to it, see lib/stylesFile).
+   * With dryRun, the diff is reported instead.
+   * @param {boolean} [force=false] - Write even if the content did not change
+   * @returns {Promise<boolean>} true if the file was written
+   */
+  async function updateStylesFile(force = false) {
+    if (!fs.existsSync(absoluteStylesFilePath)) {
+      log(`Target styles file not found: ${absoluteStylesFilePath}`);
+      return false;
+    }
+    if (dryRun) {
+      reportDiff(applyBlock);
+      return false;
+    }
 
-    if (content !== finalContent || force) {
-      fs.writeFileSync(absoluteStylesFilePath, finalContent, "utf8");
+    const written = await updateFile(absoluteStylesFilePath, applyBlock, { force, history: getHistoryOptions(), onContent: recordBlock });
+    if (written) {
       log(`Styles file "${path.basename(absoluteStylesFilePath)}" updated.`);
+    }
+    // log("No changes detected in import block. Styles file not written."); // Removed for less clutter
+    return written;
+  }
+
+  /**
+   * Takes this watcher's block out of the content of the styles file.
+   * @param {string} content
+   * @param {boolean} [andContent=true] - false to remove only the markers and keep the generated rules
+   * @returns {string} The new content (unchanged when there is no block)
+   */
+  function removeBlock(content, andContent = true) {
+    const lines = withRepairedMarkers(content).split('\n');
+    const { startIndex, endIndex } = findMarkers(lines);
+
+    if (startIndex === -1 || endIndex === -1) {
+      log(`No markers found for "${effectiveMarkerId}" to remove.`);
+      return content;
+    }
+    if (andContent) {
+      // Remove start marker, content, and end marker
+      removeLines(lines, startIndex, endIndex - startIndex + 1);
+      log(`Removed import block and markers for "${effectiveMarkerId}".`);
     } else {
-      // log("No changes detected in import block. Styles file not written."); // Removed for less clutter
+      // Only remove markers, keep content (not typically desired, but an option)
+      removeLines(lines, endIndex, 1); // Remove end marker
+      removeLines(lines, startIndex, 1); // Remove start marker
+      log(`Removed markers for "${effectiveMarkerId}", but kept content.`);
     }
+    return lines.join('\n');
   }
 
   // Function to remove markers and their content
-  function removeMarkers(andContent = false) {
+  async function removeMarkers(andContent = false) {
     if (!fs.existsSync(absoluteStylesFilePath)) {
       log(`Target styles file not found for marker removal: ${absoluteStylesFilePath}`);
       return;
     }
+    if (dryRun) {
+      reportDiff(content => removeBlock(content, andContent));
+      return;
+    }
 
-    let content = fs.readFileSync(absoluteStylesFilePath, "utf8");
-    const lines = content.split('\n');
+    await updateFile(absoluteStylesFilePath, content => removeBlock(content, andContent), { history: getHistoryOptions(), onContent: recordBlock });
+  }
 
-    const startMarker = `/* ${effectiveMarkerId} import start */`;
-    const endMarker = `/* ${effectiveMarkerId} import end */`;
+  /**
+   * Where and how updateFile() keeps the version of the styles file it replaces (see lib/history).
+   * @param {string} [trigger=name] - Shown in the history as what overwrote the version
+   * @returns {{rootDir: string, trigger: string, limit: number}}
+   */
+  function getHistoryOptions(trigger = name) {
+    return { rootDir, trigger, limit: historyLimit };
+  }
 
-    let startIndex = -1;
-    let endIndex = -1;
+  /**
+   * Unified diff of the styles file for the given change, "" when it changes nothing or the file is missing.
+   * @param {function(string): string} [transform=applyBlock] - Turns the current content into the new one
+   * @returns {string}
+   */
+  function getPendingDiff(transform = applyBlock) {
+    if (!fs.existsSync(absoluteStylesFilePath)) {
+      return "";
+    }
+    const content = readStylesFile(absoluteStylesFilePath);
+    const diff = formatUnifiedDiff(content, transform(content), { fromFile: stylesFile });
+    _pendingBlockState = null; // Nothing was written, so there is nothing for recordBlock() to record
+    return diff;
+  }
+
+  // Passes the diff of a write that dryRun skips to onDiff
+  function reportDiff(transform) {
+    const diff = getPendingDiff(transform);
+    if (diff) {
+      onDiff(diff);
+    }
+  }
+
+
+  // Used by the chokidar `ignored` callback; stats are only passed for some calls
+  function isIgnoredPath(filePath, stats) {
+    // Ignore the styles files if they are inside the watchDir
+    if (isTargetFile(path.resolve(filePath))) {
+      return true;
+    }
+    // Exclude patterns apply to files and folders, include patterns only to files
+    if (isExcludedByPattern(filePath) || (stats && stats.isFile() && !isIncludedFile(filePath))) {
+      return true;
+    }
+    // If there are explicit exclude paths, handle them here
+    return isExcludedPath(filePath);
+  }
+
+  // Flat list of the generated rules, in block order
+  function getGeneratedImportPaths() {
+    const allPaths = [];
+    for (const groupKey in _currentGroupedImportsCache) {
+      allPaths.push(..._currentGroupedImportsCache[groupKey]);
+    }
+    return allPaths;
+  }
+
+  // Groups and their files (paths relative to watchDir) in block order, for reordering
+  function getImportOrder() {
+    return _currentImportOrder.map(({ group, files }) => ({ group, files: [...files] }));
+  }
 
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].trim() === startMarker) {
-        startIndex = i;
-      } else if (lines[i].trim() === endMarker) {
-        endIndex = i;
-        break;
+  return {
+    name,
+    stylesFile,
+    markerId: effectiveMarkerId,
+    absoluteWatchDir,
+    absoluteStylesFilePath,
+    dependsOnContent,
+    dryRun,
+    log,
+    scanFiles,
+    updateFileIndex,
+    generateImports,
+    renderBlockLines,
+    readCurrentBlock,
+    applyBlock,
+    removeBlock,
+    getPendingDiff,
+    getHistoryOptions,
+    getMarkerProblems,
+    getManualEdits,
+    resolveManualEdits,
+    getPinnedLines,
+    recordBlock,
+    adoptBlock,
+    forgetBlock,
+    updateStylesFile,
+    removeMarkers,
+    isIgnoredPath,
+    getGeneratedImportPaths,
+    getImportOrder,
+  };
+}
+
+/**
+ * Runs any number of watchers on a single chokidar instance, which watches the union of their folders.
+ * Each event goes to the watchers whose folder contains the path, and all watchers affected within one
+ * debounce window are written with a single read-modify-write per styles file.
+ * @param {Object} [managerOptions]
+ * @param {number} [managerOptions.delay=200] - Debounce window in milliseconds
+ * @returns {{add: function(Object): Object, close: function(): Promise<void>}}
+ */
+function createWatcherManager(managerOptions = {}) {
+  const { delay = 200 } = managerOptions;
+
+  const entries = new Set(); // { generator, isActive, isDirty, rescanNeeded, rescanTimer }
+  let watcher = null;
+  let watchedDirs = []; // Folders chokidar was asked to watch
+
+  const entriesFor = (filePath) => Array.from(entries).filter(entry => contains(entry.generator.absoluteWatchDir, filePath));
+
+  // A path is only ignored when every watcher that covers it ignores it
+  function isIgnoredPath(filePath, stats) {
+    const absolutePath = path.resolve(filePath);
+    const covering = entriesFor(absolutePath);
+    return covering.length > 0 && covering.every(entry => entry.generator.isIgnoredPath(absolutePath, stats));
+  }
+
+  // Writes every dirty, active watcher, reading and writing each styles file once
+  const flush = debounce(() => {
+    const entriesByStylesFile = new Map();
+    for (const entry of entries) {
+      if (!entry.isDirty || !entry.isActive) continue;
+      entry.isDirty = false;
+      const { generator } = entry;
+      generator.log(`Triggering update for "${generator.markerId}"...`);
+      if (entry.rescanNeeded) {
+        entry.rescanNeeded = false;
+        generator.scanFiles();
       }
+      try {
+        generator.generateImports();
+      } catch (error) {
+        console.error(`\n❌ ${error.message}`);
+        continue;
+      }
+      if (generator.dryRun) {
+        generator.updateStylesFile() // Only reports the diff
+            .catch(error => console.error(`\n❌ ${error.message}`));
+        continue;
+      }
+      const batch = entriesByStylesFile.get(generator.absoluteStylesFilePath) || [];
+      entriesByStylesFile.set(generator.absoluteStylesFilePath, [...batch, generator]);
     }
 
-    if (startIndex !== -1 && endIndex !== -1) {
-      if (andContent) {
-        // Remove start marker, content, and end marker
-        lines.splice(startIndex, endIndex - startIndex + 1);
-        log(`Removed import block and markers for "${effectiveMarkerId}".`);
-      } else {
-        // Only remove markers, keep content (not typically desired, but an option)
-        lines.splice(endIndex, 1); // Remove end marker
-        lines.splice(startIndex, 1); // Remove start marker
-        log(`Removed markers for "${effectiveMarkerId}", but kept content.`);
+    for (const [absoluteStylesFilePath, generators] of entriesByStylesFile) {
+      if (!fs.existsSync(absoluteStylesFilePath)) {
+        generators[0].log(`Target styles file not found: ${absoluteStylesFilePath}`);
+        continue;
+      }
+      const history = generators[0].getHistoryOptions(generators.map(generator => generator.name).join(", "));
+      // A watcher with broken markers or undecided manual edits is skipped, the other blocks of the file are still written
+      const applyBlocks = (content) => generators.reduce((current, generator) => {
+        try {
+          return generator.applyBlock(current);
+        } catch (error) {
+          if (!(error instanceof MarkerIntegrityError || error instanceof ManualEditsError)) throw error;
+          console.error(`\n❌ ${error.message}`);
+          return current;
+        }
+      }, content);
+      const onContent = (content) => generators.forEach(generator => generator.recordBlock(content));
+      updateFile(absoluteStylesFilePath, applyBlocks, { history, onContent })
+          .catch(error => console.error(`\n❌ Could not update ${path.basename(absoluteStylesFilePath)}: ${error.message}`));
+    }
+  }, delay);
+
+  function markDirty(entry, rescan = false) {
+    entry.isDirty = true;
+    entry.rescanNeeded = entry.rescanNeeded || rescan;
+    flush();
+  }
+
+  // The index of a watcher is kept up to date while it is paused too, so resuming does not need a rescan
+  function onFileEvent(event, filePath) {
+    const absolutePath = path.resolve(filePath);
+    for (const entry of entriesFor(absolutePath)) {
+      if (entry.generator.updateFileIndex(event, absolutePath)) {
+        markDirty(entry);
       }
-      const finalContent = lines.join('\n').replace(/\n{3,}/g, '\n\n');
-      fs.writeFileSync(absoluteStylesFilePath, finalContent, "utf8");
+    }
+  }
+
+  // A folder can appear or disappear with any number of files in it
+  function onDirEvent(dirPath) {
+    entriesFor(path.resolve(dirPath)).forEach(entry => markDirty(entry, true));
+  }
+
+  // Folders chokidar has to watch: the watch dirs that are not inside another one
+  function getOutermostDirs() {
+    const dirs = Array.from(new Set(Array.from(entries, entry => entry.generator.absoluteWatchDir)));
+    return dirs.filter(dir => !dirs.some(other => other !== dir && contains(other, dir)));
+  }
+
+  // (Re)creates the chokidar instance over the current watch dirs; resolves once the old one is closed
+  function restartFileWatcher() {
+    const isRestart = watcher !== null;
+    const closing = watcher ? watcher.close() : Promise.resolve();
+    watchedDirs = getOutermostDirs();
+    watcher = null;
+    if (watchedDirs.length === 0) {
+      return closing;
+    }
+
+    watcher = chokidar.watch(watchedDirs, {
+      ignored: isIgnoredPath,
+      ignoreInitial: true, // Don't trigger 'add' events on startup
+      persistent: true,
+      depth: 99, // Watch subdirectories recursively
+    });
+    watcher.on("add", filePath => onFileEvent("add", filePath));
+    watcher.on("unlink", filePath => onFileEvent("unlink", filePath));
+    watcher.on("change", filePath => onFileEvent("change", filePath));
+    watcher.on("addDir", onDirEvent);
+    watcher.on("unlinkDir", onDirEvent);
+    if (isRestart) {
+      // Changes between closing the old instance and the end of the new one's initial scan have no events
+      watcher.on("ready", () => entries.forEach(entry => markDirty(entry, true)));
+    }
+    return closing;
+  }
+
+  // A folder no other watcher touches is simply added. Otherwise chokidar may already have skipped paths
+  // the new watcher needs (ignored by the watchers before it), so it starts over.
+  function watchEntry(entry) {
+    const dir = entry.generator.absoluteWatchDir;
+    const overlaps = Array.from(entries).some(other => other !== entry
+        && (contains(other.generator.absoluteWatchDir, dir) || contains(dir, other.generator.absoluteWatchDir)));
+    if (watcher && !overlaps) {
+      watcher.add(dir);
+      watchedDirs.push(dir);
     } else {
-      log(`No markers found for "${effectiveMarkerId}" to remove.`);
+      restartFileWatcher();
     }
   }
 
+  // Ignoring more than needed costs nothing (events are filtered per watcher), only dropped folders need a restart
+  function unwatchEntry() {
+    const outermost = getOutermostDirs();
+    if (outermost.length === watchedDirs.length && outermost.every(dir => watchedDirs.includes(dir))) {
+      return Promise.resolve();
+    }
+    return restartFileWatcher();
+  }
 
-  // Initialize watcher with chokidar
-  const watcher = chokidar.watch(absoluteWatchDir, {
-    ignored: (filePath) => {
-      // Ignore main styles file if it's inside the watchDir
-      if (path.resolve(filePath) === absoluteStylesFilePath) {
-        return true;
-      }
-      // If there are explicit exclude paths, handle them here
-      const relativePathFromRoot = path.relative(rootDir, filePath).replace(/\\/g, "/");
-      return excludePaths.some(excluded => {
-        const absoluteExcludedPath = path.resolve(rootDir, excluded);
-        return filePath === absoluteExcludedPath || filePath.startsWith(absoluteExcludedPath + path.sep);
-      });
-    },
-    ignoreInitial: true, // Don't trigger 'add' events on startup
-    persistent: true,
-    depth: 99, // Watch subdirectories recursively
-  });
+  /**
+   * Starts a watcher. Takes the options of createImportGenerator(), plus:
+   * @param {Object} options
+   * @param {number} [options.rescanInterval=300000] - Milliseconds between full rescans of watchDir, a safety net for
+   *   missed events (0 disables them). File events update the list of files directly; folder events always rescan.
+   * @returns {Object} Handle to control the watcher
+   */
+  function add(options) {
+    const generator = createImportGenerator(options);
+    const { log, markerId: effectiveMarkerId } = generator;
+    const { rescanInterval = 300000 } = options;
+
+    const entry = { generator, isActive: true, isDirty: false, rescanNeeded: false, rescanTimer: null };
+    if (rescanInterval > 0) {
+      entry.rescanTimer = setInterval(() => markDirty(entry, true), rescanInterval);
+      entry.rescanTimer.unref(); // The chokidar watcher keeps the process alive, not the safety net
+    }
+    entries.add(entry);
+    watchEntry(entry);
+
+    return {
+      close: async () => {
+        if (!entries.delete(entry)) return;
+        if (entry.rescanTimer) clearInterval(entry.rescanTimer);
+        await unwatchEntry();
+      },
+      removeMarkers: generator.removeMarkers,
+      _initialUpdate: () => {
+        // Generate imports once to populate the cache before the first update.
+        generator.generateImports();
+        return generator.updateStylesFile(true);
+      },
+      // Unified diff of the next write ("" when the block is up to date)
+      getPendingDiff: () => {
+        generator.generateImports();
+        return generator.getPendingDiff();
+      },
+      // Lines edited by hand in the block since it was last written, null if there are none
+      getManualEdits: generator.getManualEdits,
+      // Keeps or overwrites them (manualEdits "ask") with an update that is triggered right away
+      resolveManualEdits: (decision) => {
+        generator.resolveManualEdits(decision);
+        markDirty(entry);
+      },
+      forgetBlock: generator.forgetBlock,
+      // This is primarily for the global cleanup function in CLI
+      _getGeneratedImportPaths: () => {
+        // Ensure generateImports is called to populate the cache
+        generator.generateImports();
+        return generator.getGeneratedImportPaths();
+      },
+      // New: Pause and Resume functionality
+      pause: () => {
+        if (entry.isActive) {
+          entry.isActive = false;
+          log(`Watcher for "${effectiveMarkerId}" paused.`);
+        } else {
+          log(`Watcher for "${effectiveMarkerId}" is already paused.`);
+        }
+      },
+      resume: () => {
+        if (!entry.isActive) {
+          entry.isActive = true;
+          log(`Watcher for "${effectiveMarkerId}" resumed.`);
+          // Trigger an immediate update in case changes occurred while paused
+          markDirty(entry);
+        } else {
+          log(`Watcher for "${effectiveMarkerId}" is already running.`);
+        }
+      },
+      getIsActive: () => entry.isActive // New: Method to check current active state
+    };
+  }
+
+  // Stops all watchers
+  async function close() {
+    for (const entry of entries) {
+      if (entry.rescanTimer) clearInterval(entry.rescanTimer);
+    }
+    entries.clear();
+    await restartFileWatcher();
+  }
 
-  watcher.on("add", debouncedReactiveUpdate);
-  watcher.on("unlink", debouncedReactiveUpdate);
-  watcher.on("change", debouncedReactiveUpdate);
-  watcher.on("addDir", debouncedReactiveUpdate);
-  watcher.on("unlinkDir", debouncedReactiveUpdate);
+  return { add, close };
+}
 
+/**
+ * Watches a folder and keeps its import block in the styles file up to date.
+ * A watcher of its own; use createWatcherManager() to run several watchers on one file system watcher.
+ * Takes the same options as createWatcherManager().add().
+ * @param {Object} options
+ */
+function scssImportWatcher(options) {
+  const manager = createWatcherManager();
+  const handle = manager.add(options);
+  return { ...handle, close: () => manager.close() };
+}
 
+/**
+ * Reads a watchers.json file. A relative `_globalRootDir` is resolved against the file's directory.
+ * @param {string} configPath
+ * @returns {{rootDir: string|null, rootDirAsWritten: string|null, stylesFile: string|null, exitPolicy: string|null,
+ *   markerTemplate: Object|null, historyLimit: number|null, watchers: Object}} `rootDirAsWritten` is `_globalRootDir`
+ *   as it is in the file, so it can be saved back the same way
+ */
+function readWatchersConfig(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
   return {
-    close: () => watcher.close(),
-    removeMarkers: removeMarkers,
-    _initialUpdate: () => {
-      // Generate imports once to populate the cache before the first update.
-      generateImports();
-      updateStylesFile(true);
-    },
-    // This is primarily for the global cleanup function in CLI
-    _getGeneratedImportPaths: () => {
-      // Ensure generateImports is called to populate the cache
-      generateImports();
-      const allPaths = [];
-      for (const groupKey in _currentGroupedImportsCache) {
-        allPaths.push(..._currentGroupedImportsCache[groupKey]);
-      }
-      return allPaths;
-    },
-    // New: Pause and Resume functionality
-    pause: () => {
-      if (_isActive) {
-        _isActive = false;
-        log(`Watcher for "${effectiveMarkerId}" paused.`);
-      } else {
-        log(`Watcher for "${effectiveMarkerId}" is already paused.`);
-      }
-    },
-    resume: () => {
-      if (!_isActive) {
-        _isActive = true;
-        log(`Watcher for "${effectiveMarkerId}" resumed.`);
-        // Trigger an immediate update in case changes occurred while paused
-        debouncedReactiveUpdate();
-      } else {
-        log(`Watcher for "${effectiveMarkerId}" is already running.`);
-      }
-    },
-    getIsActive: () => _isActive // New: Method to check current active state
+    rootDir: config._globalRootDir ? path.resolve(path.dirname(configPath), config._globalRootDir) : null,
+    rootDirAsWritten: config._globalRootDir || null,
+    stylesFile: config._globalStylesFile || null,
+    exitPolicy: config._exitPolicy || null,
+    markerTemplate: config._markerTemplate || null,
+    historyLimit: config._historyLimit ?? null,
+    watchers: config.watchers || {},
   };
 }
 
+// Resolves the options shared by buildImports() and checkImports() into one generator per watcher
+function createGeneratorsFromOptions(options, caller) {
+  const fromFile = options.configPath ? readWatchersConfig(options.configPath) : {};
+  const rootDir = options.rootDir || fromFile.rootDir;
+  const stylesFile = options.stylesFile || fromFile.stylesFile;
+  const watchers = options.watchers || fromFile.watchers || {};
+  const markerTemplate = options.markerTemplate || fromFile.markerTemplate || null;
+  const historyLimit = options.historyLimit ?? fromFile.historyLimit ?? DEFAULT_HISTORY_LIMIT;
+
+  if (!rootDir) {
+    throw new Error(`${caller}() needs a rootDir.`);
+  }
+  const withoutTarget = Object.keys(watchers).find(name => !watchers[name].stylesFile && !stylesFile);
+  if (withoutTarget) {
+    throw new Error(`${caller}() needs a stylesFile for watcher "${withoutTarget}".`);
+  }
+
+  return Object.keys(watchers).map(name => createImportGenerator({
+    ...watchers[name],
+    name,
+    rootDir,
+    stylesFile: watchers[name].stylesFile || stylesFile,
+    defaultStylesFile: stylesFile,
+    markerTemplate: watchers[name].markerTemplate || markerTemplate,
+    historyLimit,
+    repairMarkers: Boolean(options.repairMarkers),
+    allWatchersConfigs: watchers,
+    ...(options.onWarning ? { onWarning: options.onWarning } : {}),
+  }));
+}
+
+/**
+ * Regenerates every watcher's import block once, without creating any file watchers.
+ * @param {Object} options
+ * @param {string} [options.configPath] - watchers.json to load rootDir, stylesFile and watchers from
+ * @param {string} [options.rootDir] - Root directory (overrides the config file)
+ * @param {string} [options.stylesFile] - Default styles file relative to rootDir, for watchers without their own (overrides the config file)
+ * @param {{start: string, end: string}} [options.markerTemplate] - Marker template for watchers without their own (overrides the config file)
+ * @param {number} [options.historyLimit=20] - Versions of each styles file kept in the history (overrides the config file)
+ * @param {boolean} [options.repairMarkers=false] - Merge broken markers back into one block instead of failing with a
+ *   MarkerIntegrityError
+ * @param {Object} [options.watchers] - Watcher configs keyed by name (overrides the config file)
+ * @param {function(string)} [options.onWarning] - Receives warnings such as ambiguous imports (default: console.warn)
+ * @param {boolean} [options.dryRun=false] - Write nothing; `changed` then tells whether the block would change
+ * @param {"keep"|"overwrite"} [options.resolveManualEdits] - Decision for blocks edited by hand whose manualEdits policy
+ *   is "ask"; without it such a block fails with a ManualEditsError
+ * @returns {Promise<Array<{name: string, stylesFile: string, rules: number, added: string[], removed: string[], changed: boolean, diff: string,
+ *   markerProblems: Object[]}>>} `diff` is the unified diff of the styles file for the watcher's block, `markerProblems` the
+ *   broken markers repairMarkers merged (see validateMarkers())
+ */
+async function buildImports(options = {}) {
+  const results = [];
+  // One watcher after the other, so each one reads the block the previous one wrote
+  for (const generator of createGeneratorsFromOptions(options, "buildImports")) {
+    if (options.resolveManualEdits) {
+      generator.resolveManualEdits(options.resolveManualEdits);
+    }
+    const markerProblems = generator.getMarkerProblems();
+    // Rules of a broken block cannot be told apart reliably, the whole block counts as added
+    const previousBlock = markerProblems.length > 0 ? [] : generator.readCurrentBlock() || [];
+    const previousRules = previousBlock.map(line => line.trim()).filter(line => getImportPathFromLine(line));
+    generator.generateImports();
+    const rules = generator.getGeneratedImportPaths();
+    const diff = generator.getPendingDiff();
+    const changed = options.dryRun ? diff !== "" : await generator.updateStylesFile();
+    // Pinned rules stay in the block, they are neither added nor removed
+    const pinnedRules = generator.getPinnedLines().filter(line => getImportPathFromLine(line) && !rules.includes(line));
+    const blockRules = [...rules, ...pinnedRules];
+
+    results.push({
+      name: generator.name,
+      stylesFile: generator.stylesFile,
+      rules: rules.length,
+      added: blockRules.filter(rule => !previousRules.includes(rule)),
+      removed: previousRules.filter(rule => !blockRules.includes(rule)),
+      changed,
+      diff,
+      markerProblems,
+    });
+  }
+  return results;
+}
+
+/**
+ * Compares every watcher's block as build would write it with the one currently between its markers, without writing.
+ * Takes the same options as buildImports().
+ * @param {Object} options
+ * @returns {Array<{name: string, markerId: string, stylesFile: string, upToDate: boolean, missingBlock: boolean, diff: Array<{type: string, line: string}>,
+ *   blockDiff: string|null, markerProblems: Array<{type: string, line: number, message: string}>}>} `diff` compares the
+ *   rules only, `blockDiff` is the unified diff of the styles file (null when manual edits are undecided).
+ *   Broken markers are never up to date
+ */
+function checkImports(options = {}) {
+  return createGeneratorsFromOptions(options, "checkImports").map(generator => {
+    generator.generateImports();
+    const generatedRules = generator.getGeneratedImportPaths();
+    // Rules kept from manual edits belong in the block as well
+    const pinnedRules = generator.getPinnedLines().filter(line => getImportPathFromLine(line) && !generatedRules.includes(line));
+    const expectedRules = [...generatedRules, ...pinnedRules];
+    const markerProblems = generator.getMarkerProblems();
+    if (markerProblems.length > 0) {
+      return {
+        name: generator.name,
+        markerId: generator.markerId,
+        stylesFile: generator.stylesFile,
+        upToDate: false,
+        missingBlock: false,
+        diff: [],
+        blockDiff: null,
+        markerProblems,
+      };
+    }
+    const currentBlock = generator.readCurrentBlock();
+    const currentRules = (currentBlock || []).map(line => line.trim()).filter(line => getImportPathFromLine(line));
+    const diff = diffLines(currentRules, expectedRules);
+    // The whole block is compared the way `build --dry-run` does, so stale group headers or spacing count as well
+    let blockDiff;
+    try {
+      blockDiff = generator.getPendingDiff();
+    } catch (error) {
+      if (!(error instanceof ManualEditsError)) throw error;
+      blockDiff = null; // Edited by hand and undecided: build would not write it as it is either
+    }
+
+    return {
+      name: generator.name,
+      markerId: generator.markerId,
+      stylesFile: generator.stylesFile,
+      upToDate: currentBlock !== null && blockDiff === "",
+      missingBlock: currentBlock === null,
+      diff,
+      blockDiff,
+      markerProblems,
+    };
+  });
+}
+
 module.exports = scssImportWatcher;
+module.exports.scssImportWatcher = scssImportWatcher;
+module.exports.createWatcherManager = createWatcherManager;
+module.exports.createImportGenerator = createImportGenerator;
+module.exports.buildImports = buildImports;
+module.exports.checkImports = checkImports;
+module.exports.readWatchersConfig = readWatchersConfig;
+module.exports.MarkerIntegrityError = MarkerIntegrityError;
+module.exports.ManualEditsError = ManualEditsError;
+module.exports.getImportPathFromLine = getImportPathFromLine;
+module.exports.getImportPathsFromLine = getImportPathsFromLine;
+module.exports.OUTPUT_MODES = OUTPUT_MODES;
+module.exports.ORDER_MODES = ORDER_MODES;
+module.exports.GROUPINGS = GROUPINGS;
+module.exports.PLACEMENTS = PLACEMENTS;
+module.exports.QUOTE_STYLES = QUOTE_STYLES;
+module.exports.MANUAL_EDIT_POLICIES = MANUAL_EDIT_POLICIES;
@@ -0,0 +1,60 @@
+// scss-import-watcher/lib/args.js
+
+/**
+ * Minimal argv parser for the non-interactive subcommands.
+ * Supports `--key value`, `--key=value`, boolean flags and `--no-flag` negations.
+ * @param {string[]} argv - Arguments without the node binary and script path (process.argv.slice(2))
+ * @param {string[]} [booleanFlags=[]] - Flags that never take a value (e.g. ["json", "help"])
+ * @returns {{ command: string|null, positionals: string[], options: Object<string, string|boolean> }}
+ */
+function parseArgs(argv, booleanFlags = []) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (arg.startsWith("--")) {
+      const equalsIndex = arg.indexOf("=");
+      if (equalsIndex !== -1) {
+        options[toCamelCase(arg.substring(2, equalsIndex))] = arg.substring(equalsIndex + 1);
+        continue;
+      }
+
+      const key = arg.substring(2);
+      if (key.startsWith("no-") && booleanFlags.includes(key.substring(3))) {
+        options[toCamelCase(key.substring(3))] = false;
+      } else if (booleanFlags.includes(key) || i + 1 >= argv.length || argv[i + 1].startsWith("--")) {
+        options[toCamelCase(key)] = true;
+      } else {
+        options[toCamelCase(key)] = argv[++i];
+      }
+      continue;
+    }
+
+    if (arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    positionals.push(arg);
+  }
+
+  return {
+    command: positionals.length > 0 ? positionals.shift() : null,
+    positionals,
+    options,
+  };
+}
+
+// "output-mode" -> "outputMode"
+function toCamelCase(flag) {
+  return flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+module.exports = { parseArgs };
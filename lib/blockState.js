@@ -0,0 +1,113 @@
+// scss-import-watcher/lib/blockState.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Relative to the project root, next to the history (see lib/history)
+const STATE_FILE = path.join(".scss-import-watcher", "state.json");
+
+// What happens to lines edited by hand inside a block: "overwrite" them (with a warning), "keep" added lines
+// as pinned extras at the end of the block, or "ask" (the block is not written until somebody decides)
+const MANUAL_EDIT_POLICIES = ["overwrite", "keep", "ask"];
+
+/**
+ * Hash of the lines of a block, to notice cheaply that it was edited since it was written.
+ * @param {string[]} lines
+ * @returns {string}
+ */
+function hashLines(lines) {
+  return crypto.createHash("sha1").update(lines.join("\n")).digest("hex");
+}
+
+// state.json: { "<styles file>": { "<marker id>": { hash, lines, pinned } } }, styles files relative to the root
+function readState(rootDir) {
+  const statePath = path.join(rootDir, STATE_FILE);
+  if (!fs.existsSync(statePath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(statePath, "utf8"));
+}
+
+function toStateKey(rootDir, filePath) {
+  return path.relative(rootDir, filePath).replace(/\\/g, "/");
+}
+
+/**
+ * What was last written to a block.
+ * @param {string} rootDir
+ * @param {string} filePath - Absolute path of the styles file
+ * @param {string} markerId
+ * @returns {{hash: string, lines: string[], pinned: string[]}|null} null when nothing was recorded yet
+ */
+function getBlockState(rootDir, filePath, markerId) {
+  const fileState = readState(rootDir)[toStateKey(rootDir, filePath)];
+  return (fileState && fileState[markerId]) || null;
+}
+
+/**
+ * Records what was written to a block, or forgets the block when blockState is null.
+ * @param {string} rootDir
+ * @param {string} filePath - Absolute path of the styles file
+ * @param {string} markerId
+ * @param {{hash: string, lines: string[], pinned: string[]}|null} blockState
+ */
+function setBlockState(rootDir, filePath, markerId, blockState) {
+  const state = readState(rootDir);
+  const key = toStateKey(rootDir, filePath);
+  if (blockState) {
+    state[key] = { ...state[key], [markerId]: blockState };
+  } else if (state[key] && state[key][markerId]) {
+    delete state[key][markerId];
+    if (Object.keys(state[key]).length === 0) delete state[key];
+  } else {
+    return;
+  }
+  fs.mkdirSync(path.join(rootDir, path.dirname(STATE_FILE)), { recursive: true });
+  fs.writeFileSync(path.join(rootDir, STATE_FILE), JSON.stringify(state, null, 2), "utf8");
+}
+
+// Lines are compared without their indentation and with runs of whitespace collapsed
+function normalizeLine(line) {
+  return line.trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Compares the lines of a block on disk with what was last written to it.
+ * Blank lines are ignored and whitespace does not count (see normalizeLine()), so a block whose lines were only
+ * reindented, spaced differently or reordered is not edited by hand.
+ * @param {{hash: string, lines: string[]}|null} blockState
+ * @param {string[]} currentLines - Lines between the markers
+ * @returns {{added: string[], removed: string[]}|null} null when no line was added or removed, or nothing was recorded
+ */
+function findManualEdits(blockState, currentLines) {
+  if (!blockState || hashLines(currentLines) === blockState.hash) {
+    return null;
+  }
+  const current = currentLines.map(normalizeLine).filter(Boolean);
+  const recorded = blockState.lines.map(normalizeLine);
+  const added = current.filter(line => !recorded.includes(line));
+  const removed = blockState.lines.filter(line => !current.includes(normalizeLine(line)));
+  return added.length > 0 || removed.length > 0 ? { added, removed } : null;
+}
+
+/**
+ * Thrown instead of writing a block that was edited by hand while its manualEdits policy is "ask"
+ * and nobody decided yet.
+ */
+class ManualEditsError extends Error {
+  /**
+   * @param {string} markerId
+   * @param {string} filePath
+   * @param {{added: string[], removed: string[]}} edits
+   */
+  constructor(markerId, filePath, edits) {
+    super(`Block "${markerId}" in ${path.basename(filePath)} was edited by hand (+${edits.added.length} -${edits.removed.length} line(s)), keep or overwrite the edits first.`);
+    this.name = "ManualEditsError";
+    this.markerId = markerId;
+    this.filePath = filePath;
+    this.edits = edits;
+  }
+}
+
+module.exports = { STATE_FILE, MANUAL_EDIT_POLICIES, hashLines, getBlockState, setBlockState, findManualEdits, ManualEditsError };
@@ -0,0 +1,136 @@
+// scss-import-watcher/lib/dependencies.js
+
+/**
+ * Finds the global `$variables`, mixins, functions and `%placeholders` a partial defines and the ones it uses.
+ * This is a line-based scan, not a Sass parser: only top-level (column 0) variables count as definitions,
+ * names with a module namespace (`math.$pi`, `@include ns.foo`) are ignored, and function calls are only
+ * recognized once the caller knows the function names (see `functionUses`).
+ * @param {string} content - Source of the partial
+ * @param {boolean} [indented=false] - true for .sass files (`=mixin` and `+include` shorthands)
+ * @returns {{defines: Set<string>, uses: Set<string>, functionUses: function(Set<string>): Set<string>}}
+ *   Symbols are prefixed with their kind: "$name", "@mixin name", "@function name", "%name".
+ */
+function parseSymbols(content, indented = false) {
+  const source = stripComments(content);
+  const defines = new Set();
+  const uses = new Set();
+  const localVariables = new Set();
+
+  for (const line of source.split(/\r?\n/)) {
+    let match;
+
+    const globalVariable = line.match(/^\$([\w-]+)\s*:/);
+    if (globalVariable) {
+      defines.add(`$${globalVariable[1]}`);
+    } else if ((match = line.match(/^\s+\$([\w-]+)\s*:/))) {
+      localVariables.add(match[1]);
+    }
+
+    if ((match = line.match(/^\s*@mixin\s+([\w-]+)/) || (indented && line.match(/^\s*=([\w-]+)/)))) {
+      defines.add(`@mixin ${match[1]}`);
+    }
+    if ((match = line.match(/^\s*@function\s+([\w-]+)/))) {
+      defines.add(`@function ${match[1]}`);
+    }
+    if ((match = line.match(/^\s*%([\w-]+)/))) {
+      defines.add(`%${match[1]}`);
+    }
+
+    // Parameters and loop variables are local
+    if ((match = line.match(/^\s*(?:@mixin|@function|=)\s*[\w-]+\s*\(([^)]*)\)/))) {
+      for (const param of match[1].matchAll(/\$([\w-]+)/g)) localVariables.add(param[1]);
+    }
+    if ((match = line.match(/^\s*@(?:each|for)\s+(.+?)\s+(?:in|from)\b/))) {
+      for (const loopVariable of match[1].matchAll(/\$([\w-]+)/g)) localVariables.add(loopVariable[1]);
+    }
+
+    for (const include of line.matchAll(/@include\s+([\w-]+)(?![\w.-])/g)) {
+      uses.add(`@mixin ${include[1]}`);
+    }
+    if (indented && (match = line.match(/^\s*\+([\w-]+)(?![\w.-])/))) {
+      uses.add(`@mixin ${match[1]}`);
+    }
+    for (const extend of line.matchAll(/@extend\s+%([\w-]+)/g)) {
+      uses.add(`%${extend[1]}`);
+    }
+    for (const variable of line.matchAll(/(^|[^\w.$-])\$([\w-]+)(?![\w-]|\s*:)/g)) {
+      uses.add(`$${variable[2]}`);
+    }
+  }
+
+  localVariables.forEach(name => uses.delete(`$${name}`));
+  defines.forEach(symbol => uses.delete(symbol));
+
+  // Any identifier followed by "(" could be a CSS function, so calls only count for known Sass functions
+  function functionUses(knownFunctions) {
+    const found = new Set();
+    for (const call of source.matchAll(/(^|[^\w.$@%-])([\w-]+)\(/g)) {
+      const symbol = `@function ${call[2]}`;
+      if (knownFunctions.has(symbol) && !defines.has(symbol)) {
+        found.add(symbol);
+      }
+    }
+    return found;
+  }
+
+  return { defines, uses, functionUses };
+}
+
+// Removes `//` and `/* */` comments and blanks string contents, which could contain anything
+function stripComments(content) {
+  return content
+      .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, " "))
+      .replace(/("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|\/\/.*$/gm,
+          (match, string) => string ? string[0] + " ".repeat(string.length - 2) + string[0] : "");
+}
+
+/**
+ * Sorts nodes so that every node comes after its dependencies (Kahn's algorithm).
+ * Among nodes that are ready at the same time, the one earlier in `nodes` wins, so passing the nodes
+ * alphabetically gives an alphabetical tie-break. Cycles do not fail the sort: the earliest node of the
+ * cycle is emitted anyway and the cycle is reported.
+ * @param {string[]} nodes
+ * @param {function(string): Iterable<string>} getDependencies - Dependencies of a node; unknown nodes are ignored
+ * @returns {{order: string[], cycles: string[][]}} Each cycle is a path like ["a", "b", "a"].
+ */
+function topologicalSort(nodes, getDependencies) {
+  const known = new Set(nodes);
+  const dependencies = new Map(nodes.map(node =>
+      [node, new Set(Array.from(getDependencies(node) || []).filter(dependency => known.has(dependency) && dependency !== node))]));
+
+  const order = [];
+  const cycles = [];
+  const remaining = [...nodes];
+
+  while (remaining.length > 0) {
+    let nextIndex = remaining.findIndex(node => dependencies.get(node).size === 0);
+    if (nextIndex === -1) {
+      // Break the cycle at its earliest node; nodes that merely depend on the cycle still wait for it
+      const cycle = findCycle(remaining[0], dependencies);
+      cycles.push(cycle);
+      nextIndex = Math.min(...cycle.map(node => remaining.indexOf(node)));
+    }
+
+    const [next] = remaining.splice(nextIndex, 1);
+    order.push(next);
+    remaining.forEach(node => dependencies.get(node).delete(next));
+  }
+
+  return { order, cycles };
+}
+
+// Follows unresolved dependencies from start until a node repeats
+function findCycle(start, dependencies) {
+  const path = [start];
+  let current = start;
+  while (true) {
+    current = dependencies.get(current).values().next().value;
+    const seenIndex = path.indexOf(current);
+    if (seenIndex !== -1) {
+      return [...path.slice(seenIndex), current];
+    }
+    path.push(current);
+  }
+}
+
+module.exports = { parseSymbols, topologicalSort };
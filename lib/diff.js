@@ -0,0 +1,136 @@
+// scss-import-watcher/lib/diff.js
+
+/**
+ * Line-based diff using the longest common subsequence of both inputs.
+ * Import blocks and styles files are small, so the O(n * m) table is fine here.
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @returns {Array<{type: "equal"|"added"|"removed", line: string}>}
+ */
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+
+  // lcs[i][j] = length of the LCS of oldLines[i..] and newLines[j..]
+  const lcs = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (oldLines[i] === newLines[j]) {
+      changes.push({ type: "equal", line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ type: "removed", line: oldLines[i] });
+      i++;
+    } else {
+      changes.push({ type: "added", line: newLines[j] });
+      j++;
+    }
+  }
+  while (i < rows) {
+    changes.push({ type: "removed", line: oldLines[i++] });
+  }
+  while (j < cols) {
+    changes.push({ type: "added", line: newLines[j++] });
+  }
+
+  return changes;
+}
+
+/**
+ * @param {Array<{type: string}>} changes - Output of diffLines()
+ * @returns {boolean} true if anything was added or removed
+ */
+function hasChanges(changes) {
+  return changes.some(change => change.type !== "equal");
+}
+
+/**
+ * Unified diff of two texts in the format of `diff -u`, or "" when they are equal.
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {Object} [options]
+ * @param {string} [options.fromFile="a"] - File name in the "---" header
+ * @param {string} [options.toFile=fromFile] - File name in the "+++" header
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {string}
+ */
+function formatUnifiedDiff(oldText, newText, { fromFile = "a", toFile = fromFile, context = 3 } = {}) {
+  const changes = diffLines(toDiffLines(oldText), toDiffLines(newText));
+  if (!hasChanges(changes)) {
+    return "";
+  }
+
+  // Line numbers of each entry in the old and the new text
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = changes.map(change => {
+    const entry = { ...change, oldLine, newLine };
+    if (change.type !== "added") oldLine++;
+    if (change.type !== "removed") newLine++;
+    return entry;
+  });
+
+  // Changes closer than twice the context share a hunk
+  const hunks = [];
+  numbered.forEach((change, index) => {
+    if (change.type === "equal") return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(numbered.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const { start, end } of hunks) {
+    const lines = numbered.slice(start, end);
+    const oldCount = lines.filter(change => change.type !== "added").length;
+    const newCount = lines.filter(change => change.type !== "removed").length;
+    // An empty side is numbered after the line it follows, like diff does
+    const oldStart = oldCount === 0 ? lines[0].oldLine - 1 : lines[0].oldLine;
+    const newStart = newCount === 0 ? lines[0].newLine - 1 : lines[0].newLine;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    lines.forEach(change => {
+      const prefix = change.type === "added" ? "+" : change.type === "removed" ? "-" : " ";
+      if (change.line.endsWith(NO_NEWLINE)) {
+        output.push(prefix + change.line.slice(0, -NO_NEWLINE.length), "\\ No newline at end of file");
+      } else {
+        output.push(prefix + change.line);
+      }
+    });
+  }
+  return output.join("\n");
+}
+
+// Marks a last line without line break, so it differs from the same line with one
+const NO_NEWLINE = "\u0000no-newline";
+
+// Lines of a text; the newline at the end of the file does not start another line
+function toDiffLines(text) {
+  if (text === "") {
+    return [];
+  }
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_NEWLINE;
+  }
+  return lines;
+}
+
+module.exports = { diffLines, hasChanges, formatUnifiedDiff };
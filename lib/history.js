@@ -0,0 +1,107 @@
+// scss-import-watcher/lib/history.js
+
+const fs = require("fs");
+const path = require("path");
+
+// Relative to the project root; snapshots use their own extension so no watcher ever imports them
+const HISTORY_DIR = path.join(".scss-import-watcher", "history");
+const DEFAULT_HISTORY_LIMIT = 20;
+
+function getManifestPath(rootDir) {
+  return path.join(rootDir, HISTORY_DIR, "manifest.json");
+}
+
+// manifest.json: { nextId, snapshots: [{ id, file, timestamp, trigger, snapshot }] }, oldest first
+function readManifest(rootDir) {
+  const manifestPath = getManifestPath(rootDir);
+  if (!fs.existsSync(manifestPath)) {
+    return { nextId: 1, snapshots: [] };
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+function writeManifest(rootDir, manifest) {
+  fs.mkdirSync(path.join(rootDir, HISTORY_DIR), { recursive: true });
+  fs.writeFileSync(getManifestPath(rootDir), JSON.stringify(manifest, null, 2), "utf8");
+}
+
+/**
+ * Keeps a version of a styles file in the history before it is overwritten.
+ * Only the newest `limit` versions of each file are kept.
+ * @param {string} rootDir - Project root, the history lives in .scss-import-watcher/history below it
+ * @param {string} filePath - Absolute path of the styles file
+ * @param {string} content - The version to keep
+ * @param {Object} [options]
+ * @param {string} [options.trigger=""] - What overwrote this version, e.g. the watcher name
+ * @param {number} [options.limit=20] - Versions kept per file, 0 keeps none
+ * @returns {number|null} Id of the new snapshot, null when the history is disabled
+ */
+function saveSnapshot(rootDir, filePath, content, { trigger = "", limit = DEFAULT_HISTORY_LIMIT } = {}) {
+  if (limit <= 0) {
+    return null;
+  }
+  const manifest = readManifest(rootDir);
+  const id = manifest.nextId;
+  const file = path.relative(rootDir, filePath).replace(/\\/g, "/");
+  const snapshot = `${id}.snapshot`;
+
+  fs.mkdirSync(path.join(rootDir, HISTORY_DIR), { recursive: true });
+  fs.writeFileSync(path.join(rootDir, HISTORY_DIR, snapshot), content, "utf8");
+  manifest.snapshots.push({ id, file, timestamp: new Date().toISOString(), trigger, snapshot });
+  manifest.nextId = id + 1;
+
+  // Drop the oldest versions of this file beyond the limit
+  const ofFile = manifest.snapshots.filter(entry => entry.file === file);
+  const dropped = new Set(ofFile.slice(0, Math.max(0, ofFile.length - limit)));
+  dropped.forEach(entry => fs.rmSync(path.join(rootDir, HISTORY_DIR, entry.snapshot), { force: true }));
+  manifest.snapshots = manifest.snapshots.filter(entry => !dropped.has(entry));
+
+  writeManifest(rootDir, manifest);
+  return id;
+}
+
+/**
+ * Snapshots in the history, newest first.
+ * @param {string} rootDir
+ * @param {string} [file] - Only the snapshots of this styles file (relative to rootDir)
+ * @returns {Array<{id: number, file: string, timestamp: string, trigger: string}>}
+ */
+function listSnapshots(rootDir, file) {
+  return readManifest(rootDir).snapshots
+      .filter(entry => !file || entry.file === file.replace(/\\/g, "/"))
+      .map(({ id, file, timestamp, trigger }) => ({ id, file, timestamp, trigger }))
+      .reverse();
+}
+
+/**
+ * Content of a snapshot and the file it belongs to.
+ * @param {string} rootDir
+ * @param {number} id
+ * @returns {{id: number, file: string, timestamp: string, trigger: string, content: string}}
+ */
+function readSnapshot(rootDir, id) {
+  const entry = readManifest(rootDir).snapshots.find(snapshot => snapshot.id === Number(id));
+  if (!entry) {
+    throw new Error(`There is no snapshot #${id} in the history.`);
+  }
+  const content = fs.readFileSync(path.join(rootDir, HISTORY_DIR, entry.snapshot), "utf8");
+  return { id: entry.id, file: entry.file, timestamp: entry.timestamp, trigger: entry.trigger, content };
+}
+
+/**
+ * Removes a snapshot from the history (after an undo went back to it).
+ * @param {string} rootDir
+ * @param {number} id
+ */
+function deleteSnapshot(rootDir, id) {
+  const manifest = readManifest(rootDir);
+  const entry = manifest.snapshots.find(snapshot => snapshot.id === Number(id));
+  if (!entry) {
+    return;
+  }
+  fs.rmSync(path.join(rootDir, HISTORY_DIR, entry.snapshot), { force: true });
+  manifest.snapshots = manifest.snapshots.filter(snapshot => snapshot !== entry);
+  writeManifest(rootDir, manifest);
+}
+
+module.exports = { HISTORY_DIR, DEFAULT_HISTORY_LIMIT, saveSnapshot, listSnapshots, readSnapshot, deleteSnapshot };
@@ -0,0 +1,169 @@
+// scss-import-watcher/lib/markers.js
+
+const path = require("path");
+
+/**
+ * True for styles files written in the indented syntax (.sass), which use `//` comments
+ * and no semicolons in the generated block.
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isIndentedSyntax(filePath) {
+  return path.extname(filePath).toLowerCase() === ".sass";
+}
+
+/**
+ * Wraps text in a comment of the right syntax: `/* text *\/` for SCSS, `// text` for .sass.
+ * @param {string} text
+ * @param {boolean} [indented=false]
+ * @returns {string}
+ */
+function formatComment(text, indented = false) {
+  return indented ? `// ${text}` : `/* ${text} */`;
+}
+
+/**
+ * Text of a comment line without its delimiters and surrounding whitespace, or null if the line is no comment.
+ * `/* components import start *\/` and `//components import start  ` both give "components import start".
+ * @param {string} line
+ * @returns {string|null}
+ */
+function getCommentText(line) {
+  const trimmed = line.trim();
+  let text;
+  if (trimmed.startsWith("//")) {
+    text = trimmed.substring(2);
+  } else if (trimmed.startsWith("/*") && trimmed.endsWith("*/") && trimmed.length >= 4) {
+    text = trimmed.substring(2, trimmed.length - 2);
+  } else {
+    return null;
+  }
+  return text.trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Builds the start and end marker comments of a watcher block.
+ * A template is a pair of full comment lines containing "{id}", e.g.
+ * { start: "// @generated:{id} begin", end: "// @generated:{id} end" }. Without one, markers look like
+ * `/* id import start *\/` (`// id import start` in .sass files).
+ * Matching compares the comment text only, so the comment style and whitespace of a marker do not matter,
+ * and the default format is always recognized, so files written before a template was configured keep working.
+ * @param {string} markerId
+ * @param {boolean} [indented=false] - true for .sass styles files
+ * @param {{start: string, end: string}|null} [template=null]
+ * @returns {{start: string, end: string, isStart: function(string): boolean, isEnd: function(string): boolean}}
+ */
+function createMarkers(markerId, indented = false, template = null) {
+  const defaultStart = formatComment(`${markerId} import start`, indented);
+  const defaultEnd = formatComment(`${markerId} import end`, indented);
+  const start = template && template.start ? template.start.replace(/\{id\}/g, markerId) : defaultStart;
+  const end = template && template.end ? template.end.replace(/\{id\}/g, markerId) : defaultEnd;
+
+  const startTexts = [getCommentText(start), getCommentText(defaultStart)];
+  const endTexts = [getCommentText(end), getCommentText(defaultEnd)];
+  const matches = (texts) => (line) => {
+    const text = getCommentText(line);
+    return text !== null && texts.includes(text);
+  };
+
+  return {
+    start,
+    end,
+    isStart: matches(startTexts),
+    isEnd: matches(endTexts),
+  };
+}
+
+/**
+ * Finds the blocks of one marker ID in the lines of a styles file, and everything that makes them ambiguous:
+ * - "orphan-start" / "orphan-end": a marker without its counterpart
+ * - "wrong-order": an end marker before its start marker
+ * - "duplicate": more than one block with this ID
+ * - "nested": a block inside a block with the same ID, or a block containing another watcher's markers
+ * Without problems there is at most one block.
+ * @param {string[]} lines
+ * @param {{isStart: function(string): boolean, isEnd: function(string): boolean}} markers - From createMarkers()
+ * @param {Array<{isStart: function(string): boolean, isEnd: function(string): boolean}>} [otherMarkers=[]]
+ *   Markers of the other watchers writing to the same file
+ * @returns {{blocks: Array<{startIndex: number, endIndex: number}>, problems: Array<{type: string, line: number, message: string}>}}
+ *   `line` is 1-based
+ */
+function validateMarkers(lines, markers, otherMarkers = []) {
+  const blocks = [];
+  let orphanStarts = [];
+  let orphanEnds = [];
+  let openIndex = -1;
+
+  lines.forEach((line, index) => {
+    if (markers.isStart(line)) {
+      if (openIndex !== -1) orphanStarts.push(openIndex);
+      openIndex = index;
+    } else if (markers.isEnd(line)) {
+      if (openIndex === -1) {
+        orphanEnds.push(index);
+      } else {
+        blocks.push({ startIndex: openIndex, endIndex: index });
+        openIndex = -1;
+      }
+    }
+  });
+  if (openIndex !== -1) orphanStarts.push(openIndex);
+
+  const problems = [];
+  const problem = (type, index, message) => problems.push({ type, line: index + 1, message });
+
+  // start, start, end, end: the inner pair is a block, the outer markers wrap it
+  for (const startIndex of [...orphanStarts]) {
+    const inner = blocks.find(block => block.startIndex > startIndex);
+    const endIndex = inner && orphanEnds.find(index => index > inner.endIndex);
+    if (endIndex !== undefined) {
+      problem("nested", inner.startIndex, `block on line ${inner.startIndex + 1} is nested in a block with the same ID (lines ${startIndex + 1}-${endIndex + 1})`);
+      orphanStarts = orphanStarts.filter(index => index !== startIndex);
+      orphanEnds = orphanEnds.filter(index => index !== endIndex);
+    }
+  }
+  for (const endIndex of [...orphanEnds]) {
+    const startIndex = orphanStarts.find(index => index > endIndex);
+    if (startIndex !== undefined) {
+      problem("wrong-order", endIndex, `end marker on line ${endIndex + 1} comes before its start marker on line ${startIndex + 1}`);
+      orphanStarts = orphanStarts.filter(index => index !== startIndex);
+      orphanEnds = orphanEnds.filter(index => index !== endIndex);
+    }
+  }
+  orphanStarts.forEach(index => problem("orphan-start", index, `start marker on line ${index + 1} has no end marker`));
+  orphanEnds.forEach(index => problem("orphan-end", index, `end marker on line ${index + 1} has no start marker`));
+  blocks.slice(1).forEach(block =>
+    problem("duplicate", block.startIndex, `block on line ${block.startIndex + 1} duplicates the block on line ${blocks[0].startIndex + 1}`));
+
+  for (const block of blocks) {
+    for (let index = block.startIndex + 1; index < block.endIndex; index++) {
+      if (otherMarkers.some(other => other.isStart(lines[index]) || other.isEnd(lines[index]))) {
+        problem("nested", block.startIndex, `block on line ${block.startIndex + 1} contains another watcher's marker on line ${index + 1}`);
+        break;
+      }
+    }
+  }
+
+  problems.sort((a, b) => a.line - b.line);
+  return { blocks, problems };
+}
+
+/**
+ * Thrown instead of writing a styles file whose markers for a block are ambiguous (see validateMarkers()).
+ */
+class MarkerIntegrityError extends Error {
+  /**
+   * @param {string} markerId
+   * @param {string} filePath
+   * @param {Array<{type: string, line: number, message: string}>} problems
+   */
+  constructor(markerId, filePath, problems) {
+    super(`Markers of "${markerId}" in ${path.basename(filePath)} are ambiguous, nothing was written: ${problems.map(problem => problem.message).join("; ")}.`);
+    this.name = "MarkerIntegrityError";
+    this.markerId = markerId;
+    this.filePath = filePath;
+    this.problems = problems;
+  }
+}
+
+module.exports = { isIndentedSyntax, formatComment, getCommentText, createMarkers, validateMarkers, MarkerIntegrityError };
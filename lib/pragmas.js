@@ -0,0 +1,68 @@
+// scss-import-watcher/lib/pragmas.js
+
+// Comments starting with this control how the watcher imports the partial they are in
+const PRAGMA_PREFIX = "scss-import-watcher:";
+
+/**
+ * Reads the pragmas at the top of a partial, e.g.
+ *   // scss-import-watcher: ignore
+ *   // scss-import-watcher: order 10
+ *   /* scss-import-watcher: group utilities *\/
+ * Only the comments and blank lines before the first statement are looked at, one pragma per comment.
+ * @param {string} content - Source of the partial
+ * @returns {{ignore: boolean, order: number|null, group: string|null, invalid: string[]}}
+ *   `order` sorts within the group (lower first, files without one count as 0), `group` replaces the folder group,
+ *   `invalid` lists pragmas that could not be understood
+ */
+function parsePragmas(content) {
+  const pragmas = { ignore: false, order: null, group: null, invalid: [] };
+  let inBlockComment = false; // Inside a multi-line /* */ comment, e.g. a license header
+
+  for (const line of content.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (inBlockComment) {
+      if (trimmed.includes("*/")) inBlockComment = false;
+      continue;
+    }
+    if (trimmed === "") {
+      continue;
+    }
+    if (trimmed.startsWith("/*") && !trimmed.includes("*/")) {
+      inBlockComment = true;
+      continue;
+    }
+    const comment = trimmed.match(/^(?:\/\/|\/\*)\s*(.*?)\s*(?:\*\/)?$/);
+    if (!comment) {
+      break; // The first statement ends the header
+    }
+    if (!comment[1].startsWith(PRAGMA_PREFIX)) {
+      continue;
+    }
+
+    const pragma = comment[1].slice(PRAGMA_PREFIX.length).trim();
+    const [keyword, ...args] = pragma.split(/\s+/);
+    const value = args.join(" ");
+    if (keyword === "ignore" && value === "") {
+      pragmas.ignore = true;
+    } else if (keyword === "order" && /^-?\d+(\.\d+)?$/.test(value)) {
+      pragmas.order = Number(value);
+    } else if (keyword === "group" && value !== "") {
+      pragmas.group = value;
+    } else {
+      pragmas.invalid.push(pragma);
+    }
+  }
+  return pragmas;
+}
+
+/**
+ * Whether two results of parsePragmas() put the partial into the block in the same way.
+ * @param {Object|undefined} a
+ * @param {Object|undefined} b
+ * @returns {boolean}
+ */
+function samePragmas(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = { PRAGMA_PREFIX, parsePragmas, samePragmas };
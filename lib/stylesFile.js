@@ -0,0 +1,144 @@
+// scss-import-watcher/lib/stylesFile.js
+
+const fs = require("fs");
+const path = require("path");
+const { saveSnapshot } = require("./history");
+
+const queues = new Map(); // key: absolute file path, value: promise of the last update queued for it
+
+/**
+ * What line-based edits of a styles file must keep as it was: a leading byte order mark, the line ending style
+ * (taken from the first line break) and whether the file ends with a line break.
+ * @param {string} raw - Content as read from disk
+ * @returns {{bom: boolean, eol: string, finalNewline: boolean}}
+ */
+function detectFormat(raw) {
+  const firstBreak = raw.match(/\r?\n/);
+  return {
+    bom: raw.charCodeAt(0) === 0xFEFF,
+    eol: firstBreak ? firstBreak[0] : "\n",
+    finalNewline: raw.endsWith("\n"),
+  };
+}
+
+/**
+ * Content without BOM and with `\n` line endings, which is what all transforms of a styles file work on.
+ * @param {string} raw
+ * @returns {string}
+ */
+function decodeContent(raw) {
+  return raw.replace(/^\uFEFF/, "").replace(/\r\n/g, "\n");
+}
+
+/**
+ * Turns transformed content back into the format of the file it came from (see detectFormat()).
+ * @param {string} text - Content with `\n` line endings
+ * @param {{bom: boolean, eol: string, finalNewline: boolean}} format
+ * @returns {string}
+ */
+function encodeContent(text, format) {
+  if (format.finalNewline && text !== "" && !text.endsWith("\n")) {
+    text += "\n";
+  } else if (!format.finalNewline && text.endsWith("\n")) {
+    text = text.slice(0, -1);
+  }
+  return (format.bom ? "\uFEFF" : "") + (format.eol === "\n" ? text : text.replace(/\n/g, format.eol));
+}
+
+/**
+ * Reads a styles file the way updateFile() hands it to its update function (see decodeContent()).
+ * @param {string} filePath
+ * @returns {string}
+ */
+function readStylesFile(filePath) {
+  return decodeContent(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Takes lines out of a styles file. When that leaves two blank lines next to each other, one of them goes too,
+ * so removing a block that was inserted between blank lines restores the file as it was. Nothing else is touched.
+ * @param {string[]} lines - Changed in place
+ * @param {number} start
+ * @param {number} deleteCount
+ * @returns {string[]} lines
+ */
+function removeLines(lines, start, deleteCount) {
+  lines.splice(start, deleteCount);
+  if (start > 0 && start < lines.length && lines[start - 1].trim() === "" && lines[start].trim() === "") {
+    lines.splice(start, 1);
+  }
+  return lines;
+}
+
+/**
+ * Reads, changes and writes a file as one step. Updates of the same file run one after another in the order
+ * they were requested, so two watchers sharing a styles file cannot overwrite each other's blocks.
+ * The new content goes to a temporary file that is renamed over the original, so tools watching the file
+ * never read it half-written. If the file changed on disk after it was read (an editor saved it), the update
+ * is run again on the new content.
+ * The update works on decoded content (see decodeContent()); the BOM, line endings and final line break of the file
+ * are put back before writing, so only the lines the update changed differ on disk.
+ * @param {string} filePath - Absolute path
+ * @param {function(string): string} update - Receives the current content and returns the new one
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Write even if the decoded content did not change, e.g. to put back the line
+ *   endings of a file that has mixed ones (a file that would be written exactly as it is never is)
+ * @param {number} [options.retries=3] - Attempts after the first one when the file keeps changing
+ * @param {boolean} [options.raw=false] - Hand the content to update as it is on disk and write its result unchanged
+ *   (for versions from the history, which are kept as they were)
+ * @param {{rootDir: string, trigger: string, limit: number}} [options.history] - Keep the replaced version in the
+ *   history of rootDir (see lib/history)
+ * @param {function(string)} [options.onContent] - Receives the (decoded) content of the file once the update is done,
+ *   whether it was written or unchanged
+ * @returns {Promise<boolean>} true if the file was written, false if nothing changed or the file does not exist
+ */
+function updateFile(filePath, update, options = {}) {
+  const previous = queues.get(filePath) || Promise.resolve();
+  const next = previous.catch(() => {}).then(() => writeUpdate(filePath, update, options));
+  queues.set(filePath, next);
+
+  const cleanup = () => {
+    if (queues.get(filePath) === next) queues.delete(filePath);
+  };
+  next.then(cleanup, cleanup);
+  return next;
+}
+
+async function writeUpdate(filePath, update, { force = false, retries = 3, raw = false, history = null, onContent = null } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    if (!fs.existsSync(filePath)) {
+      return false;
+    }
+    const content = fs.readFileSync(filePath, "utf8");
+    const decoded = raw ? content : decodeContent(content);
+    const updated = update(decoded);
+    const newContent = raw ? updated : encodeContent(updated, detectFormat(content));
+    // Unchanged lines are compared decoded, so a file with mixed line endings is not rewritten for nothing.
+    // Forced or not, a write that would leave the file as it is neither touches it nor fills the history.
+    if ((updated === decoded && !force) || newContent === content) {
+      if (onContent) onContent(raw ? decodeContent(content) : decoded);
+      return false;
+    }
+
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+    fs.writeFileSync(tempPath, newContent, { encoding: "utf8", mode: fs.statSync(filePath).mode });
+
+    if (fs.readFileSync(filePath, "utf8") === content) {
+      if (history) {
+        saveSnapshot(history.rootDir, filePath, content, history);
+      }
+      fs.renameSync(tempPath, filePath);
+      if (onContent) onContent(decodeContent(newContent));
+      return true;
+    }
+
+    // Somebody else wrote the file meanwhile: give them a moment and start over from their version
+    fs.unlinkSync(tempPath);
+    if (attempt >= retries) {
+      throw new Error(`${path.basename(filePath)} kept changing while it was being updated (${attempt + 1} attempts).`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+module.exports = { updateFile, readStylesFile, decodeContent, removeLines };
@@ -0,0 +1,86 @@
+// scss-import-watcher/tests/build.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildImports } = require("..");
+const { createProject, runCli } = require("./helpers");
+
+const WATCHERS_JSON = JSON.stringify({
+  _globalRootDir: ".",
+  _globalStylesFile: "src/main.scss",
+  watchers: {
+    components: { name: "components", watchDir: "src/components", line: 1, excludePaths: [], outputMode: "import" },
+  },
+});
+
+function createComponentsProject(t) {
+  return createProject(t, {
+    "watchers.json": WATCHERS_JSON,
+    "src/main.scss": "// main\n\nbody {}\n",
+    "src/components/_card.scss": ".card {}\n",
+    "src/components/_button.scss": ".button {}\n",
+    "src/components/forms/_input.scss": ".input {}\n",
+  });
+}
+
+test("buildImports writes one sorted block with a header per folder", async (t) => {
+  const project = createComponentsProject(t);
+  const results = await buildImports({ configPath: `${project.root}/watchers.json`, onWarning: () => {} });
+
+  assert.equal(results.length, 1);
+  assert.equal(results[0].changed, true);
+  assert.equal(results[0].rules, 3);
+  assert.equal(project.read("src/main.scss"), [
+    "/* components import start */",
+    "/* base */",
+    '@import "components/button";',
+    '@import "components/card";',
+    "/* forms */",
+    '@import "components/forms/input";',
+    "/* components import end */",
+    "// main",
+    "",
+    "body {}",
+    "",
+  ].join("\n"));
+});
+
+test("buildImports leaves an up-to-date block alone", async (t) => {
+  const project = createComponentsProject(t);
+  await buildImports({ configPath: `${project.root}/watchers.json`, onWarning: () => {} });
+  const [result] = await buildImports({ configPath: `${project.root}/watchers.json`, onWarning: () => {} });
+
+  assert.equal(result.changed, false);
+  assert.deepEqual(result.added, []);
+  assert.deepEqual(result.removed, []);
+});
+
+test("buildImports reports added and removed rules", async (t) => {
+  const project = createComponentsProject(t);
+  await buildImports({ configPath: `${project.root}/watchers.json`, onWarning: () => {} });
+  project.remove("src/components/_card.scss");
+  project.write("src/components/_alert.scss", ".alert {}\n");
+  const [result] = await buildImports({ configPath: `${project.root}/watchers.json`, onWarning: () => {} });
+
+  assert.deepEqual(result.added, ['@import "components/alert";']);
+  assert.deepEqual(result.removed, ['@import "components/card";']);
+  assert.match(project.read("src/main.scss"), /@import "components\/alert";\n@import "components\/button";\n\/\* forms \*\//);
+});
+
+test("buildImports with dryRun returns the diff and writes nothing", async (t) => {
+  const project = createComponentsProject(t);
+  const [result] = await buildImports({ configPath: `${project.root}/watchers.json`, dryRun: true, onWarning: () => {} });
+
+  assert.equal(result.changed, true);
+  assert.match(result.diff, /^\+@import "components\/button";$/m);
+  assert.equal(project.read("src/main.scss"), "// main\n\nbody {}\n");
+});
+
+test("build command writes the blocks and exits with 0", (t) => {
+  const project = createComponentsProject(t);
+  const { status, stdout } = runCli(project.root, ["build"]);
+
+  assert.equal(status, 0);
+  assert.match(stdout, /Build finished: 1 of 1 block\(s\) updated/);
+  assert.match(project.read("src/main.scss"), /@import "components\/forms\/input";/);
+});
@@ -0,0 +1,75 @@
+// scss-import-watcher/tests/check.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildImports, checkImports } = require("..");
+const { createProject, runCli } = require("./helpers");
+
+async function createBuiltProject(t) {
+  const project = createProject(t, {
+    "watchers.json": JSON.stringify({
+      _globalRootDir: ".",
+      _globalStylesFile: "main.scss",
+      watchers: { scss: { name: "scss", watchDir: "scss", line: 1, excludePaths: [], outputMode: "import" } },
+    }),
+    "main.scss": "body {}\n",
+    "scss/_a.scss": ".a {}\n",
+    "scss/_b.scss": ".b {}\n",
+  });
+  await buildImports({ configPath: `${project.root}/watchers.json`, onWarning: () => {} });
+  return project;
+}
+
+test("checkImports finds a freshly built block up to date", async (t) => {
+  const project = await createBuiltProject(t);
+  const [result] = checkImports({ configPath: `${project.root}/watchers.json`, onWarning: () => {} });
+
+  assert.equal(result.upToDate, true);
+  assert.equal(result.missingBlock, false);
+  assert.equal(result.blockDiff, "");
+});
+
+test("checkImports lists the rules a new partial is missing", async (t) => {
+  const project = await createBuiltProject(t);
+  project.write("scss/_c.scss", ".c {}\n");
+  const [result] = checkImports({ configPath: `${project.root}/watchers.json`, onWarning: () => {} });
+
+  assert.equal(result.upToDate, false);
+  assert.deepEqual(result.diff.filter(change => change.type !== "equal"), [{ type: "added", line: '@import "scss/c";' }]);
+});
+
+test("checkImports finds a stale group header although the rules match", async (t) => {
+  const project = await createBuiltProject(t);
+  project.write("main.scss", project.read("main.scss").replace("/* base */", "/* old header */"));
+  const [result] = checkImports({ configPath: `${project.root}/watchers.json`, onWarning: () => {} });
+
+  assert.equal(result.upToDate, false);
+  assert.equal(result.diff.every(change => change.type === "equal"), true);
+  assert.match(result.blockDiff, /^-\/\* old header \*\/$/m);
+});
+
+test("checkImports reports a missing block", (t) => {
+  const project = createProject(t, { "main.scss": "body {}\n", "scss/_a.scss": ".a {}\n" });
+  const [result] = checkImports({
+    rootDir: project.root,
+    stylesFile: "main.scss",
+    watchers: { scss: { name: "scss", watchDir: "scss", line: 1, excludePaths: [], outputMode: "import" } },
+    onWarning: () => {},
+  });
+
+  assert.equal(result.upToDate, false);
+  assert.equal(result.missingBlock, true);
+});
+
+test("check command exits with 1 for a stale block and 0 once it is built", async (t) => {
+  const project = await createBuiltProject(t);
+  assert.equal(runCli(project.root, ["check"]).status, 0);
+
+  project.remove("scss/_b.scss");
+  const stale = runCli(project.root, ["check"]);
+  assert.equal(stale.status, 1);
+  assert.match(stale.stdout, /- @import "scss\/b";/);
+
+  assert.equal(runCli(project.root, ["build"]).status, 0);
+  assert.equal(runCli(project.root, ["check"]).status, 0);
+});
@@ -0,0 +1,71 @@
+// scss-import-watcher/tests/dependencies.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSymbols, topologicalSort } = require("../lib/dependencies");
+
+test("parseSymbols finds global definitions and the symbols used", () => {
+  const { defines, uses } = parseSymbols([
+    "$primary: #333;",
+    "@mixin card($padding) {",
+    "  $local: 2;",
+    "  padding: $padding * $local;",
+    "  color: $secondary;",
+    "}",
+    "%reset { margin: 0; }",
+    ".button {",
+    "  @include rounded;",
+    "  @extend %focus;",
+    "  width: math.$pi;",
+    "}",
+  ].join("\n"));
+
+  assert.deepEqual([...defines].sort(), ["$primary", "%reset", "@mixin card"]);
+  assert.deepEqual([...uses].sort(), ["$secondary", "%focus", "@mixin rounded"]);
+});
+
+test("parseSymbols ignores comments and string contents", () => {
+  const { defines, uses } = parseSymbols([
+    "// $commented: 1;",
+    "/* @include hidden; */",
+    '.a { content: "$not-a-variable"; }',
+  ].join("\n"));
+
+  assert.equal(defines.size, 0);
+  assert.equal(uses.size, 0);
+});
+
+test("parseSymbols understands the mixin shorthands of the indented syntax", () => {
+  const { defines, uses } = parseSymbols("=rounded\n  border-radius: 4px\n.a\n  +shadow\n", true);
+
+  assert.deepEqual([...defines], ["@mixin rounded"]);
+  assert.deepEqual([...uses], ["@mixin shadow"]);
+});
+
+test("parseSymbols counts calls of known Sass functions only", () => {
+  const { functionUses } = parseSymbols(".a { width: rem(16px); color: rgba(0, 0, 0, 0.5); }");
+
+  assert.deepEqual([...functionUses(new Set(["@function rem"]))], ["@function rem"]);
+});
+
+test("topologicalSort puts dependencies first and keeps the given order otherwise", () => {
+  const dependencies = { button: ["mixins"], mixins: ["variables"], variables: [], alert: [] };
+  const { order, cycles } = topologicalSort(["alert", "button", "mixins", "variables"], node => dependencies[node]);
+
+  assert.deepEqual(order, ["alert", "variables", "mixins", "button"]);
+  assert.deepEqual(cycles, []);
+});
+
+test("topologicalSort ignores unknown nodes and self references", () => {
+  const { order } = topologicalSort(["a", "b"], node => (node === "a" ? ["missing", "a"] : ["a"]));
+
+  assert.deepEqual(order, ["a", "b"]);
+});
+
+test("topologicalSort breaks a cycle at its earliest node and reports it", () => {
+  const dependencies = { a: ["b"], b: ["a"], c: ["a"] };
+  const { order, cycles } = topologicalSort(["a", "b", "c"], node => dependencies[node]);
+
+  assert.deepEqual(order, ["a", "b", "c"]);
+  assert.deepEqual(cycles, [["a", "b", "a"]]);
+});
@@ -0,0 +1,56 @@
+// scss-import-watcher/tests/diff.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffLines, hasChanges, formatUnifiedDiff } = require("../lib/diff");
+
+test("diffLines keeps the common lines and marks the others", () => {
+  assert.deepEqual(diffLines(["a", "b", "c"], ["a", "c", "d"]), [
+    { type: "equal", line: "a" },
+    { type: "removed", line: "b" },
+    { type: "equal", line: "c" },
+    { type: "added", line: "d" },
+  ]);
+});
+
+test("hasChanges is false for equal inputs only", () => {
+  assert.equal(hasChanges(diffLines(["a"], ["a"])), false);
+  assert.equal(hasChanges(diffLines(["a"], ["a", "b"])), true);
+});
+
+test("formatUnifiedDiff returns an empty string for equal texts", () => {
+  assert.equal(formatUnifiedDiff("a\nb\n", "a\nb\n"), "");
+});
+
+test("formatUnifiedDiff writes headers and hunks like diff -u", () => {
+  const oldText = "1\n2\n3\n4\n5\n6\n7\n8\n9\n10\n";
+  const newText = "1\n2\n3\n4\nfive\n6\n7\n8\n9\n10\n";
+  assert.equal(formatUnifiedDiff(oldText, newText, { fromFile: "main.scss" }), [
+    "--- main.scss",
+    "+++ main.scss",
+    "@@ -2,7 +2,7 @@",
+    " 2",
+    " 3",
+    " 4",
+    "-5",
+    "+five",
+    " 6",
+    " 7",
+    " 8",
+  ].join("\n"));
+});
+
+test("formatUnifiedDiff splits distant changes into hunks and numbers insertions into an empty file", () => {
+  const lines = Array.from({ length: 20 }, (_, index) => String(index + 1));
+  const changed = [...lines];
+  changed[0] = "first";
+  changed[19] = "last";
+  const hunks = formatUnifiedDiff(lines.join("\n") + "\n", changed.join("\n") + "\n").match(/^@@.*@@$/gm);
+  assert.deepEqual(hunks, ["@@ -1,4 +1,4 @@", "@@ -17,4 +17,4 @@"]);
+
+  assert.equal(formatUnifiedDiff("", "a\n"), "--- a\n+++ a\n@@ -0,0 +1,1 @@\n+a");
+});
+
+test("formatUnifiedDiff marks a missing newline at the end of the file", () => {
+  assert.equal(formatUnifiedDiff("a\n", "a"), "--- a\n+++ a\n@@ -1,1 +1,1 @@\n-a\n+a\n\\ No newline at end of file");
+});
@@ -0,0 +1,39 @@
+// scss-import-watcher/tests/helpers.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const CLI_PATH = path.join(__dirname, "..", "bin", "cli.js");
+
+/**
+ * Creates a project in a temporary folder, removed again after the test.
+ * @param {import("node:test").TestContext} t
+ * @param {Object<string, string>} files - Content per path relative to the project root
+ * @returns {{root: string, read: function(string): string, write: function(string, string), remove: function(string)}}
+ */
+function createProject(t, files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "scss-import-watcher-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content, "utf8");
+  };
+  Object.keys(files).forEach(file => write(file, files[file]));
+  return {
+    root,
+    read: (file) => fs.readFileSync(path.join(root, file), "utf8"),
+    write,
+    remove: (file) => fs.rmSync(path.join(root, file)),
+  };
+}
+
+// Runs the CLI in the project root, without a TTY
+function runCli(root, args) {
+  const result = spawnSync(process.execPath, [CLI_PATH, ...args], { cwd: root, encoding: "utf8", timeout: 30000 });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+module.exports = { createProject, runCli };
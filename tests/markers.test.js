@@ -0,0 +1,102 @@
+// scss-import-watcher/tests/markers.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getCommentText, createMarkers, validateMarkers } = require("../lib/markers");
+const { buildImports, MarkerIntegrityError } = require("..");
+const { createProject } = require("./helpers");
+
+const markers = createMarkers("scss");
+const problemTypes = (lines, otherMarkers) => validateMarkers(lines, markers, otherMarkers).problems.map(problem => problem.type);
+
+test("getCommentText ignores the comment style and whitespace", () => {
+  assert.equal(getCommentText("/*  scss   import start */"), "scss import start");
+  assert.equal(getCommentText("  //scss import start"), "scss import start");
+  assert.equal(getCommentText('@import "scss/a";'), null);
+});
+
+test("createMarkers applies a template and still recognizes the default markers", () => {
+  const templated = createMarkers("scss", false, { start: "// @generated:{id} begin", end: "// @generated:{id} end" });
+
+  assert.equal(templated.start, "// @generated:scss begin");
+  assert.equal(templated.isStart("/* @generated:scss begin */"), true);
+  assert.equal(templated.isStart("/* scss import start */"), true);
+  assert.equal(templated.isEnd("// @generated:other end"), false);
+  assert.equal(createMarkers("scss", true).start, "// scss import start");
+});
+
+test("validateMarkers finds one block in a well-formed file", () => {
+  const { blocks, problems } = validateMarkers(["a", markers.start, "b", markers.end], markers);
+
+  assert.deepEqual(blocks, [{ startIndex: 1, endIndex: 3 }]);
+  assert.deepEqual(problems, []);
+});
+
+test("validateMarkers reports orphaned, misordered, duplicate and nested markers", () => {
+  assert.deepEqual(problemTypes([markers.start, "a"]), ["orphan-start"]);
+  assert.deepEqual(problemTypes(["a", markers.end]), ["orphan-end"]);
+  assert.deepEqual(problemTypes([markers.end, markers.start]), ["wrong-order"]);
+  assert.deepEqual(problemTypes([markers.start, markers.end, markers.start, markers.end]), ["duplicate"]);
+  assert.deepEqual(problemTypes([markers.start, markers.start, markers.end, markers.end]), ["nested"]);
+
+  const other = createMarkers("other");
+  assert.deepEqual(problemTypes([markers.start, other.start, other.end, markers.end], [other]), ["nested"]);
+});
+
+test("validateMarkers gives 1-based line numbers", () => {
+  const [problem] = validateMarkers(["a", "b", markers.start], markers).problems;
+
+  assert.equal(problem.line, 3);
+  assert.equal(problem.message, "start marker on line 3 has no end marker");
+});
+
+function createBrokenProject(t) {
+  return createProject(t, {
+    "main.scss": [
+      "/* scss import start */",
+      '@import "scss/a";',
+      "/* other import start */",
+      '@import "other/o";',
+      "/* other import end */",
+      "body {}",
+      "",
+    ].join("\n"),
+    "scss/_a.scss": ".a {}\n",
+    "scss/_b.scss": ".b {}\n",
+    "other/_o.scss": ".o {}\n",
+  });
+}
+
+const WATCHERS = {
+  scss: { name: "scss", watchDir: "scss", line: 1, excludePaths: [], outputMode: "import" },
+  other: { name: "other", watchDir: "other", line: 1, excludePaths: [], outputMode: "import" },
+};
+
+test("buildImports refuses to write a styles file with broken markers", async (t) => {
+  const project = createBrokenProject(t);
+  const before = project.read("main.scss");
+
+  await assert.rejects(
+      buildImports({ rootDir: project.root, stylesFile: "main.scss", watchers: { scss: WATCHERS.scss }, onWarning: () => {} }),
+      MarkerIntegrityError);
+  assert.equal(project.read("main.scss"), before);
+});
+
+test("buildImports with repairMarkers merges an orphaned marker into one block and keeps other blocks", async (t) => {
+  const project = createBrokenProject(t);
+  const [result, other] = await buildImports({
+    rootDir: project.root,
+    stylesFile: "main.scss",
+    watchers: WATCHERS,
+    repairMarkers: true,
+    onWarning: () => {},
+  });
+
+  assert.deepEqual(result.markerProblems.map(problem => problem.type), ["orphan-start"]);
+  const lines = project.read("main.scss").split("\n");
+  assert.deepEqual(validateMarkers(lines, markers).problems, []);
+  assert.equal(lines.filter(line => line === '@import "scss/a";').length, 1);
+  assert.ok(lines.includes('@import "scss/b";'));
+  assert.ok(lines.includes('@import "other/o";'));
+  assert.deepEqual(other.markerProblems, []);
+});
@@ -0,0 +1,73 @@
+// scss-import-watcher/tests/pragmas.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePragmas, samePragmas } = require("../lib/pragmas");
+const { buildImports } = require("..");
+const { createProject } = require("./helpers");
+
+test("parsePragmas reads ignore, order and group from the header comments", () => {
+  assert.deepEqual(parsePragmas([
+    "// scss-import-watcher: order 10",
+    "/* scss-import-watcher: group utilities */",
+    "",
+    ".a {}",
+  ].join("\n")), { ignore: false, order: 10, group: "utilities", invalid: [] });
+
+  assert.equal(parsePragmas("// scss-import-watcher: ignore\n").ignore, true);
+  assert.equal(parsePragmas("// scss-import-watcher: order -2.5\n").order, -2.5);
+});
+
+test("parsePragmas stops at the first statement", () => {
+  assert.deepEqual(parsePragmas(".a {}\n// scss-import-watcher: ignore\n"), { ignore: false, order: null, group: null, invalid: [] });
+});
+
+test("parsePragmas skips license headers and a BOM", () => {
+  const pragmas = parsePragmas([
+    "\uFEFF/*",
+    " * License text",
+    " */",
+    "// Other comment",
+    "// scss-import-watcher: group vendor",
+  ].join("\r\n"));
+
+  assert.equal(pragmas.group, "vendor");
+});
+
+test("parsePragmas lists the pragmas it does not understand", () => {
+  assert.deepEqual(parsePragmas([
+    "// scss-import-watcher: order first",
+    "// scss-import-watcher: ignore please",
+    "// scss-import-watcher: colour red",
+  ].join("\n")).invalid, ["order first", "ignore please", "colour red"]);
+});
+
+test("samePragmas compares parsed pragmas by value", () => {
+  assert.equal(samePragmas(parsePragmas("// scss-import-watcher: order 1"), parsePragmas("/* scss-import-watcher: order 1 */")), true);
+  assert.equal(samePragmas(parsePragmas("// scss-import-watcher: order 1"), parsePragmas("")), false);
+});
+
+test("buildImports follows the pragmas of the partials", async (t) => {
+  const project = createProject(t, {
+    "main.scss": "",
+    "scss/_a.scss": ".a {}\n",
+    "scss/_b.scss": "// scss-import-watcher: order -1\n.b {}\n",
+    "scss/_draft.scss": "// scss-import-watcher: ignore\n",
+    "scss/forms/_input.scss": "// scss-import-watcher: group base\n.input {}\n",
+  });
+  await buildImports({
+    rootDir: project.root,
+    stylesFile: "main.scss",
+    watchers: { scss: { name: "scss", watchDir: "scss", line: 1, excludePaths: [], outputMode: "import" } },
+    onWarning: () => {},
+  });
+
+  assert.equal(project.read("main.scss"), [
+    "/* scss import start */",
+    "/* base */",
+    '@import "scss/b";',
+    '@import "scss/a";',
+    '@import "scss/forms/input";',
+    "/* scss import end */",
+  ].join("\n"));
+});
@@ -0,0 +1,75 @@
+// scss-import-watcher/tests/stylesFile.test.js
+
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { updateFile, readStylesFile, decodeContent, removeLines } = require("../lib/stylesFile");
+const { buildImports, createImportGenerator } = require("..");
+const { createProject } = require("./helpers");
+
+test("decodeContent strips the BOM and turns CRLF into LF", () => {
+  assert.equal(decodeContent("\uFEFFa\r\nb\r\n"), "a\nb\n");
+  assert.equal(decodeContent("a\nb"), "a\nb");
+});
+
+test("removeLines drops one of two blank lines that would meet", () => {
+  assert.deepEqual(removeLines(["a", "", "x", "y", "", "b"], 2, 2), ["a", "", "b"]);
+  assert.deepEqual(removeLines(["a", "x", "b"], 1, 1), ["a", "b"]);
+});
+
+test("updateFile keeps the BOM, CRLF line endings and missing final newline", async (t) => {
+  const project = createProject(t, { "main.scss": "\uFEFF// a\r\n// b" });
+  const seen = [];
+  const written = await updateFile(`${project.root}/main.scss`, (content) => {
+    seen.push(content);
+    return content.replace("// b", "// b\n// c");
+  });
+
+  assert.equal(written, true);
+  assert.deepEqual(seen, ["// a\n// b"]);
+  assert.equal(project.read("main.scss"), "\uFEFF// a\r\n// b\r\n// c");
+  assert.equal(readStylesFile(`${project.root}/main.scss`), "// a\n// b\n// c");
+});
+
+test("updateFile with raw writes the content as it is", async (t) => {
+  const project = createProject(t, { "main.scss": "a\r\n" });
+  await updateFile(`${project.root}/main.scss`, (content) => `${content}b\n`, { raw: true });
+
+  assert.equal(project.read("main.scss"), "a\r\nb\n");
+});
+
+test("updateFile does not write when the content stays the same, even when forced", async (t) => {
+  const project = createProject(t, { "main.scss": "a\r\nb\r\n" });
+  let received = null;
+  const written = await updateFile(`${project.root}/main.scss`, (content) => content, {
+    force: true,
+    history: { rootDir: project.root, trigger: "test", limit: 20 },
+    onContent: (content) => { received = content; },
+  });
+
+  assert.equal(written, false);
+  assert.equal(received, "a\nb\n");
+  assert.equal(fs.existsSync(`${project.root}/.scss-import-watcher`), false);
+});
+
+test("updateFile runs the updates of one file one after another", async (t) => {
+  const project = createProject(t, { "main.scss": "start\n" });
+  await Promise.all(["a", "b", "c"].map(line =>
+      updateFile(`${project.root}/main.scss`, (content) => `${content}${line}\n`)));
+
+  assert.equal(project.read("main.scss"), "start\na\nb\nc\n");
+});
+
+test("building and removing a block round-trips a CRLF file with BOM byte for byte", async (t) => {
+  const original = "\uFEFF// main\r\n\r\nbody {}\r\n";
+  const project = createProject(t, { "main.scss": original, "scss/_a.scss": ".a {}\n" });
+  const options = (watchers) => ({ rootDir: project.root, stylesFile: "main.scss", watchers, onWarning: () => {} });
+
+  await buildImports(options({ scss: { name: "scss", watchDir: "scss", line: 2, excludePaths: [], outputMode: "import" } }));
+  assert.equal(project.read("main.scss"),
+      "\uFEFF// main\r\n/* scss import start */\r\n/* base */\r\n@import \"scss/a\";\r\n/* scss import end */\r\n\r\nbody {}\r\n");
+
+  const generator = createImportGenerator({ name: "scss", rootDir: project.root, stylesFile: "main.scss", watchDir: "scss", line: 2 });
+  await updateFile(`${project.root}/main.scss`, (content) => generator.removeBlock(content));
+  assert.equal(project.read("main.scss"), original);
+});